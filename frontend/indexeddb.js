@@ -8,7 +8,7 @@
  * 
  * 🎯 FEATURES:
  * - Promise-based API (Dexie-like)
- * - Object stores: products, categories, orders, cart, settings
+ * - Object stores: products, categories, orders, cart, settings, watchlist, shares
  * - Sync strategies: pull, push, bidirectional
  * - Conflict resolution
  * - Data expiration (TTL)
@@ -34,6 +34,15 @@
  * // Sync
  * await db.sync.pull('products');
  * await db.sync.push('orders');
+ * await db.sync.importBloggerFeed(); // products + categories from /feeds/posts
+ * 
+ * // Outbox (offline writes, replayed by the service worker)
+ * await db.outbox.enqueue('createOrder', orderData);
+ * await db.outbox.flush();
+ * 
+ * // Service worker
+ * importScripts('https://ksprovip7777.github.io/pwa-assets/indexeddb.js');
+ * const db = await new LotusDB().init();
  * 
  * Lead Engineer: PWA E-commerce Hybrid v3.0
  * Date: November 2025
@@ -47,7 +56,7 @@
   // ═══════════════════════════════════════════════════════════════════
 
   const DB_NAME = 'LotusGlassDB';
-  const DB_VERSION = 3;
+  const DB_VERSION = 6;
   
   const STORES = {
     PRODUCTS: 'products',
@@ -56,13 +65,46 @@
     ORDERS: 'orders',
     OFFLINE_ORDERS: 'offlineOrders',
     SETTINGS: 'settings',
-    SYNC_META: 'syncMeta'
+    SYNC_META: 'syncMeta',
+    WATCHLIST: 'watchlist',
+    SHARES: 'shares'
   };
 
   const TTL = {
     PRODUCTS: 24 * 60 * 60 * 1000,      // 24 hours
     CATEGORIES: 7 * 24 * 60 * 60 * 1000, // 7 days
-    SETTINGS: 60 * 60 * 1000             // 1 hour
+    SETTINGS: 60 * 60 * 1000,            // 1 hour
+    SHARES: 7 * 24 * 60 * 60 * 1000      // 7 days (inquiry form never sent)
+  };
+
+  const BLOGGER_FEED = {
+    PATH: '/feeds/posts/default',
+    PAGE_SIZE: 150,
+    MAX_PAGES: 10,
+    IMAGE_SIZE: 's600'
+  };
+
+  const OUTBOX_STATUS = {
+    QUEUED: 'queued',
+    SENDING: 'sending',
+    SENT: 'sent',
+    FAILED: 'failed'
+  };
+
+  // Allowed status transitions
+  const OUTBOX_TRANSITIONS = {
+    [OUTBOX_STATUS.QUEUED]: [OUTBOX_STATUS.SENDING],
+    [OUTBOX_STATUS.SENDING]: [OUTBOX_STATUS.SENT, OUTBOX_STATUS.FAILED, OUTBOX_STATUS.QUEUED],
+    [OUTBOX_STATUS.FAILED]: [OUTBOX_STATUS.SENDING],
+    [OUTBOX_STATUS.SENT]: []
+  };
+
+  const OUTBOX = {
+    MAX_ATTEMPTS: 5,
+    SENDING_TIMEOUT: 2 * 60 * 1000, // 'sending' older than this was interrupted
+    SYNC_TAG: 'sync-orders',
+    LEGACY_DB_NAME: 'lotus-glass-db',
+    LEGACY_STORE: 'pending-orders'
   };
 
   // ═══════════════════════════════════════════════════════════════════
@@ -75,6 +117,8 @@
         dbName: config.dbName || DB_NAME,
         dbVersion: config.dbVersion || DB_VERSION,
         apiUrl: config.apiUrl || '',
+        blogUrl: config.blogUrl || '', // '' = same origin as the page
+        memoryCache: config.memoryCache !== false, // false when another context writes too
         onError: config.onError || console.error,
         ...config
       };
@@ -88,7 +132,10 @@
       this.cart = new Store(this, STORES.CART);
       this.orders = new Store(this, STORES.ORDERS);
       this.offlineOrders = new Store(this, STORES.OFFLINE_ORDERS);
+      this.outbox = new Outbox(this, STORES.OFFLINE_ORDERS);
       this.settings = new Store(this, STORES.SETTINGS);
+      this.watchlist = new Store(this, STORES.WATCHLIST);
+      this.shares = new Store(this, STORES.SHARES);
       
       // Sync engine
       this.sync = new SyncEngine(this);
@@ -102,6 +149,18 @@
         this.db = await this._openDatabase();
         console.log('[LotusDB] Database initialized');
         
+        // Move orders queued by older pwa-main.js builds into the outbox
+        try {
+          await this.outbox.migrateLegacy();
+        } catch (error) {
+          console.warn('[LotusDB] Legacy outbox migration failed:', error);
+        }
+        
+        // Abandoned shares: drop them now, not only in the hourly cleanup
+        this._cleanupStore(STORES.SHARES, Date.now(), TTL.SHARES).catch(error => {
+          console.warn('[LotusDB] Share cleanup failed:', error);
+        });
+        
         // Setup periodic cleanup
         this._setupPeriodicCleanup();
         
@@ -121,7 +180,22 @@
         const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
 
         request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => {
+          const db = request.result;
+          
+          // Let a newer version (other tab or service worker) upgrade;
+          // transaction() reopens the connection on the next access
+          db.onversionchange = () => {
+            db.close();
+            
+            if (this.db === db) {
+              this.db = null;
+              this.memoryCache.clear();
+            }
+          };
+          
+          resolve(db);
+        };
 
         request.onupgradeneeded = (event) => {
           const db = event.target.result;
@@ -130,15 +204,29 @@
           console.log(`[LotusDB] Upgrading from v${oldVersion} to v${this.config.dbVersion}`);
           
           // Create stores with indexes
-          this._createStores(db, oldVersion);
+          this._createStores(db, oldVersion, event.target.transaction);
         };
       });
     }
 
+    /**
+     * Start a transaction, reopening the connection if it was closed
+     * for a version change
+     */
+    async transaction(storeNames, mode = 'readonly') {
+      if (!this.db) {
+        this._reopening = this._reopening || this._openDatabase()
+          .finally(() => { this._reopening = null; });
+        this.db = await this._reopening;
+      }
+      
+      return this.db.transaction(storeNames, mode);
+    }
+
     /**
      * Create object stores
      */
-    _createStores(db, oldVersion) {
+    _createStores(db, oldVersion, transaction) {
       // Products store
       if (!db.objectStoreNames.contains(STORES.PRODUCTS)) {
         const productsStore = db.createObjectStore(STORES.PRODUCTS, { keyPath: 'ProductID' });
@@ -172,11 +260,21 @@
         ordersStore.createIndex('timestamp', 'timestamp', { unique: false });
       }
 
-      // Offline orders queue
+      // Offline orders queue (outbox)
       if (!db.objectStoreNames.contains(STORES.OFFLINE_ORDERS)) {
         const offlineOrdersStore = db.createObjectStore(STORES.OFFLINE_ORDERS, { keyPath: 'id', autoIncrement: true });
         offlineOrdersStore.createIndex('timestamp', 'timestamp', { unique: false });
-        offlineOrdersStore.createIndex('synced', 'synced', { unique: false });
+        offlineOrdersStore.createIndex('status', 'status', { unique: false });
+        offlineOrdersStore.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
+      } else if (oldVersion < 4) {
+        // v4: status + idempotency key replace the boolean `synced` flag
+        const offlineOrdersStore = transaction.objectStore(STORES.OFFLINE_ORDERS);
+        
+        if (offlineOrdersStore.indexNames.contains('synced')) {
+          offlineOrdersStore.deleteIndex('synced');
+        }
+        offlineOrdersStore.createIndex('status', 'status', { unique: false });
+        offlineOrdersStore.createIndex('idempotencyKey', 'idempotencyKey', { unique: true });
       }
 
       // Settings store
@@ -189,6 +287,18 @@
         const syncMetaStore = db.createObjectStore(STORES.SYNC_META, { keyPath: 'store' });
         syncMetaStore.createIndex('lastSync', 'lastSync', { unique: false });
       }
+
+      // Back-in-stock watchlist (v5)
+      if (!db.objectStoreNames.contains(STORES.WATCHLIST)) {
+        const watchlistStore = db.createObjectStore(STORES.WATCHLIST, { keyPath: 'ProductID' });
+        watchlistStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
+
+      // Content shared to the app via manifest share_target (v6)
+      if (!db.objectStoreNames.contains(STORES.SHARES)) {
+        const sharesStore = db.createObjectStore(STORES.SHARES, { keyPath: 'id' });
+        sharesStore.createIndex('timestamp', 'timestamp', { unique: false });
+      }
     }
 
     /**
@@ -216,6 +326,9 @@
         // Cleanup categories
         await this._cleanupStore(STORES.CATEGORIES, now, TTL.CATEGORIES);
         
+        // Cleanup shares left by abandoned inquiry forms
+        await this._cleanupStore(STORES.SHARES, now, TTL.SHARES);
+        
         console.log('[LotusDB] Cleanup complete');
         
       } catch (error) {
@@ -227,7 +340,7 @@
      * Cleanup specific store
      */
     async _cleanupStore(storeName, now, ttl) {
-      const tx = this.db.transaction(storeName, 'readwrite');
+      const tx = await this.transaction(storeName, 'readwrite');
       const store = tx.objectStore(storeName);
       const index = store.index('timestamp');
       
@@ -273,7 +386,7 @@
      * Clear specific store
      */
     async _clearStore(storeName) {
-      const tx = this.db.transaction(storeName, 'readwrite');
+      const tx = await this.transaction(storeName, 'readwrite');
       const store = tx.objectStore(storeName);
       
       return new Promise((resolve, reject) => {
@@ -327,7 +440,7 @@
         item.searchIndex = this._buildSearchIndex(item);
       }
       
-      const tx = this.db.db.transaction(this.storeName, 'readwrite');
+      const tx = await this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
       
       return new Promise((resolve, reject) => {
@@ -337,17 +450,43 @@
       });
     }
 
+    /**
+     * Add or replace item
+     */
+    async put(data) {
+      const item = {
+        ...data,
+        timestamp: Date.now()
+      };
+      
+      if (this.storeName === STORES.PRODUCTS) {
+        item.searchIndex = this._buildSearchIndex(item);
+      }
+      
+      const tx = await this.db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      
+      return new Promise((resolve, reject) => {
+        const request = store.put(item);
+        request.onsuccess = () => {
+          this.db.memoryCache.set(`${this.storeName}:${request.result}`, item);
+          resolve(request.result);
+        };
+        request.onerror = () => reject(request.error);
+      });
+    }
+
     /**
      * Get item by key
      */
     async get(key) {
       // Check memory cache
       const cacheKey = `${this.storeName}:${key}`;
-      if (this.db.memoryCache.has(cacheKey)) {
+      if (this.db.config.memoryCache && this.db.memoryCache.has(cacheKey)) {
         return this.db.memoryCache.get(cacheKey);
       }
       
-      const tx = this.db.db.transaction(this.storeName, 'readonly');
+      const tx = await this.db.transaction(this.storeName, 'readonly');
       const store = tx.objectStore(this.storeName);
       
       return new Promise((resolve, reject) => {
@@ -356,7 +495,7 @@
           const result = request.result;
           
           // Cache in memory
-          if (result) {
+          if (result && this.db.config.memoryCache) {
             this.db.memoryCache.set(cacheKey, result);
           }
           
@@ -370,7 +509,7 @@
      * Get all items
      */
     async getAll() {
-      const tx = this.db.db.transaction(this.storeName, 'readonly');
+      const tx = await this.db.transaction(this.storeName, 'readonly');
       const store = tx.objectStore(this.storeName);
       
       return new Promise((resolve, reject) => {
@@ -401,7 +540,7 @@
         updatedItem.searchIndex = this._buildSearchIndex(updatedItem);
       }
       
-      const tx = this.db.db.transaction(this.storeName, 'readwrite');
+      const tx = await this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
       
       return new Promise((resolve, reject) => {
@@ -421,7 +560,7 @@
      * Delete item
      */
     async delete(key) {
-      const tx = this.db.db.transaction(this.storeName, 'readwrite');
+      const tx = await this.db.transaction(this.storeName, 'readwrite');
       const store = tx.objectStore(this.storeName);
       
       return new Promise((resolve, reject) => {
@@ -480,6 +619,331 @@
     }
   }
 
+  // ═══════════════════════════════════════════════════════════════════
+  // 📤 OUTBOX - Offline write queue
+  // ═══════════════════════════════════════════════════════════════════
+
+  class Outbox extends Store {
+    /**
+     * Queue an API write (e.g. createOrder) for later delivery
+     */
+    async enqueue(action, payload, options = {}) {
+      const idempotencyKey = options.idempotencyKey ||
+        (payload && payload.idempotencyKey) ||
+        this._createKey(action);
+      
+      const entry = {
+        action: action,
+        payload: payload,
+        apiUrl: options.apiUrl || this.db.config.apiUrl,
+        idempotencyKey: idempotencyKey,
+        status: OUTBOX_STATUS.QUEUED,
+        attempts: 0,
+        lastError: null,
+        createdAt: options.createdAt || Date.now()
+      };
+      
+      try {
+        entry.id = await this.add(entry);
+        console.log(`[Outbox] Queued ${action} #${entry.id}`);
+        return entry;
+        
+      } catch (error) {
+        // Same idempotency key already queued
+        if (error.name === 'ConstraintError') {
+          return this.findByKey(idempotencyKey);
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * Find entry by idempotency key
+     */
+    async findByKey(idempotencyKey) {
+      const tx = await this.db.transaction(this.storeName, 'readonly');
+      const index = tx.objectStore(this.storeName).index('idempotencyKey');
+      
+      return new Promise((resolve, reject) => {
+        const request = index.get(idempotencyKey);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    /**
+     * Entries that should be (re)sent now
+     */
+    async getPending() {
+      const now = Date.now();
+      const entries = await this.getAll();
+      
+      return entries.filter(entry => {
+        switch (entry.status) {
+          case OUTBOX_STATUS.QUEUED:
+            return true;
+          case OUTBOX_STATUS.FAILED:
+            return !entry.rejected && entry.attempts < OUTBOX.MAX_ATTEMPTS;
+          case OUTBOX_STATUS.SENDING:
+            return now - entry.timestamp > OUTBOX.SENDING_TIMEOUT;
+          default:
+            return false;
+        }
+      });
+    }
+
+    /**
+     * Move entry to a new status
+     */
+    async transition(id, status, changes = {}) {
+      // Check and write in one readwrite transaction: a page and the service
+      // worker flushing together must not both move an entry to 'sending'
+      const tx = await this.db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      
+      return new Promise((resolve, reject) => {
+        let updated = null;
+        let failure = null;
+        
+        const request = store.get(id);
+        request.onsuccess = () => {
+          const entry = request.result;
+          
+          if (!entry) {
+            failure = new Error(`Outbox entry not found: ${id}`);
+            tx.abort();
+            return;
+          }
+          
+          // A 'sending' entry is only taken over once its sender timed out
+          const interrupted = entry.status === OUTBOX_STATUS.SENDING &&
+            status === OUTBOX_STATUS.SENDING &&
+            Date.now() - entry.timestamp > OUTBOX.SENDING_TIMEOUT;
+          const from = interrupted ? OUTBOX_STATUS.QUEUED : entry.status;
+          
+          if (!OUTBOX_TRANSITIONS[from].includes(status)) {
+            failure = new Error(`Invalid outbox transition: ${entry.status} → ${status}`);
+            failure.name = 'OutboxTransitionError';
+            tx.abort();
+            return;
+          }
+          
+          updated = {
+            ...entry,
+            ...changes,
+            status: status,
+            timestamp: Date.now()
+          };
+          
+          store.put(updated);
+        };
+        
+        tx.oncomplete = () => {
+          this.db.memoryCache.delete(`${this.storeName}:${id}`);
+          resolve(updated);
+        };
+        tx.onabort = () => reject(failure || tx.error);
+      });
+    }
+
+    /**
+     * Send all pending entries
+     * @param {Object} options
+     * @param {Function} options.onResult - Called with each sent/failed entry
+     */
+    async flush(options = {}) {
+      const pending = await this.getPending();
+      const summary = { sent: 0, failed: 0, retryable: 0 };
+      
+      for (const item of pending) {
+        let entry;
+        
+        try {
+          entry = await this.transition(item.id, OUTBOX_STATUS.SENDING);
+        } catch (error) {
+          // Already being sent by another tab or the service worker
+          if (error.name === 'OutboxTransitionError') {
+            continue;
+          }
+          throw error;
+        }
+        
+        const attempts = entry.attempts + 1;
+        
+        try {
+          const result = await this._send(entry);
+          
+          entry = await this.transition(entry.id, OUTBOX_STATUS.SENT, {
+            attempts: attempts,
+            result: result.data || null,
+            lastError: null,
+            sentAt: Date.now()
+          });
+          summary.sent++;
+          
+        } catch (error) {
+          // API rejected the payload itself - retrying will not help
+          const rejected = !!error.rejected;
+          
+          console.warn(`[Outbox] ${entry.action} #${entry.id} failed:`, error.message);
+          
+          entry = await this.transition(entry.id, OUTBOX_STATUS.FAILED, {
+            attempts: attempts,
+            rejected: rejected,
+            lastError: error.message
+          });
+          summary.failed++;
+          
+          if (!rejected && attempts < OUTBOX.MAX_ATTEMPTS) {
+            summary.retryable++;
+          }
+        }
+        
+        if (options.onResult) {
+          await options.onResult(entry);
+        }
+      }
+      
+      return summary;
+    }
+
+    /**
+     * Whether a failed entry will be retried
+     */
+    willRetry(entry) {
+      return entry.status === OUTBOX_STATUS.FAILED &&
+        !entry.rejected &&
+        entry.attempts < OUTBOX.MAX_ATTEMPTS;
+    }
+
+    /**
+     * Ask the service worker to flush when back online
+     */
+    async requestSync() {
+      if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        return false;
+      }
+      
+      const registration = await navigator.serviceWorker.ready;
+      
+      if (!('sync' in registration)) {
+        return false;
+      }
+      
+      await registration.sync.register(OUTBOX.SYNC_TAG);
+      return true;
+    }
+
+    /**
+     * Move rows from the old `lotus-glass-db` / `pending-orders` queue
+     */
+    async migrateLegacy() {
+      const legacyDb = await this._openLegacyDatabase();
+      
+      if (!legacyDb) {
+        return 0;
+      }
+      
+      let rows = [];
+      
+      if (legacyDb.objectStoreNames.contains(OUTBOX.LEGACY_STORE)) {
+        rows = await new Promise((resolve, reject) => {
+          const request = legacyDb
+            .transaction(OUTBOX.LEGACY_STORE, 'readonly')
+            .objectStore(OUTBOX.LEGACY_STORE)
+            .getAll();
+          request.onsuccess = () => resolve(request.result || []);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      
+      legacyDb.close();
+      
+      let migrated = 0;
+      
+      for (const row of rows) {
+        if (row.status === 'synced') {
+          continue;
+        }
+        
+        // Key derived from the legacy id keeps a re-run from duplicating rows
+        await this.enqueue('createOrder', row.data, {
+          apiUrl: row.apiUrl,
+          idempotencyKey: `legacy-${row.id}`,
+          createdAt: row.createdAt
+        });
+        migrated++;
+      }
+      
+      await new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(OUTBOX.LEGACY_DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => resolve();
+        request.onblocked = () => resolve();
+      });
+      
+      console.log(`[Outbox] Migrated ${migrated} legacy order(s)`);
+      
+      return migrated;
+    }
+
+    /**
+     * Open legacy database only if it already exists
+     */
+    _openLegacyDatabase() {
+      return new Promise((resolve) => {
+        const request = indexedDB.open(OUTBOX.LEGACY_DB_NAME);
+        
+        // Database did not exist - abort instead of creating it
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => resolve(null);
+      });
+    }
+
+    /**
+     * POST entry to the API
+     */
+    async _send(entry) {
+      const url = `${entry.apiUrl}?action=${entry.action}` +
+        `&idempotencyKey=${encodeURIComponent(entry.idempotencyKey)}`;
+      
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...entry.payload,
+          idempotencyKey: entry.idempotencyKey
+        })
+      });
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      const result = await response.json();
+      
+      if (!result.success) {
+        const error = new Error(result.error || 'API error');
+        error.rejected = true;
+        throw error;
+      }
+      
+      return result;
+    }
+
+    /**
+     * Generate idempotency key
+     */
+    _createKey(action) {
+      const random = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : Math.random().toString(36).slice(2) + Date.now().toString(36);
+      
+      return `${action}-${random}`;
+    }
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // 🔄 SYNC ENGINE - Data synchronization
   // ═══════════════════════════════════════════════════════════════════
@@ -586,6 +1050,110 @@
       }
     }
 
+    /**
+     * Import Blogger posts (/feeds/posts/default?alt=json) as products,
+     * and their labels as categories
+     */
+    async importBloggerFeed(options = {}) {
+      try {
+        console.log('[SyncEngine] Importing Blogger feed...');
+        
+        const blogUrl = options.blogUrl || this.db.config.blogUrl;
+        const products = [];
+        const labels = new Set();
+        
+        for (let page = 0; page < BLOGGER_FEED.MAX_PAGES; page++) {
+          const startIndex = page * BLOGGER_FEED.PAGE_SIZE + 1;
+          const response = await fetch(`${blogUrl}${BLOGGER_FEED.PATH}?alt=json` +
+            `&max-results=${BLOGGER_FEED.PAGE_SIZE}&start-index=${startIndex}`);
+          
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          
+          const result = await response.json();
+          const entries = (result.feed && result.feed.entry) || [];
+          
+          entries.forEach(entry => {
+            const product = this._mapBloggerPost(entry);
+            products.push(product);
+            product.Labels.forEach(label => labels.add(label));
+          });
+          
+          if (entries.length < BLOGGER_FEED.PAGE_SIZE) {
+            break;
+          }
+        }
+        
+        for (const product of products) {
+          await this.db.products.put(product);
+        }
+        
+        let order = 0;
+        for (const label of labels) {
+          await this.db.categories.put({
+            CategoryID: label,
+            Name: label,
+            TenDanhMuc: label,
+            ThuTuHienThi: order++,
+            source: 'blogger'
+          });
+        }
+        
+        await this._updateSyncMeta('bloggerFeed');
+        
+        console.log(`[SyncEngine] Imported ${products.length} posts, ${labels.size} labels`);
+        
+        return { products: products.length, categories: labels.size };
+        
+      } catch (error) {
+        console.error('[SyncEngine] Blogger feed import failed:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Map Blogger feed entry to product record
+     */
+    _mapBloggerPost(entry) {
+      const postId = entry.id.$t.split('post-').pop();
+      const html = (entry.content || entry.summary || {}).$t || '';
+      const text = html.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+      const labels = (entry.category || []).map(category => category.term);
+      const link = (entry.link || []).find(item => item.rel === 'alternate');
+      
+      // Thumbnail is 72px - ask Blogger's image CDN for a larger size
+      let image = entry.media$thumbnail ? entry.media$thumbnail.url : '';
+      if (!image) {
+        const match = html.match(/<img[^>]+src="([^"]+)"/i);
+        image = match ? match[1] : '';
+      }
+      image = image.replace(/\/s\d+(-c)?\//, `/${BLOGGER_FEED.IMAGE_SIZE}/`)
+        .replace(/=s\d+(-c)?$/, `=${BLOGGER_FEED.IMAGE_SIZE}`);
+      
+      // "Giá: 120.000đ" in post body
+      const priceMatch = text.match(/gi[áa][^0-9]{0,20}([\d.,]+)\s*(?:đ|₫|vn[đd])/i);
+      const price = priceMatch ? parseInt(priceMatch[1].replace(/[.,]/g, ''), 10) : 0;
+      
+      const name = entry.title.$t;
+      const description = text.substring(0, 500);
+      
+      return {
+        ProductID: `post-${postId}`,
+        Name: name,
+        TenSanPham: name,
+        Description: description,
+        MoTa: description,
+        Image: image,
+        Price: price,
+        CategoryID: labels[0] || '',
+        Labels: labels,
+        Url: link ? link.href : '',
+        UpdatedAt: entry.updated ? entry.updated.$t : '',
+        source: 'blogger'
+      };
+    }
+
     /**
      * Get API endpoint for store
      */
@@ -617,7 +1185,7 @@
      * Update sync metadata
      */
     async _updateSyncMeta(storeName) {
-      const tx = this.db.db.transaction(STORES.SYNC_META, 'readwrite');
+      const tx = await this.db.transaction(STORES.SYNC_META, 'readwrite');
       const store = tx.objectStore(STORES.SYNC_META);
       
       const meta = {
@@ -636,7 +1204,7 @@
      * Get last sync time
      */
     async getLastSync(storeName) {
-      const tx = this.db.db.transaction(STORES.SYNC_META, 'readonly');
+      const tx = await this.db.transaction(STORES.SYNC_META, 'readonly');
       const store = tx.objectStore(STORES.SYNC_META);
       
       return new Promise((resolve, reject) => {
@@ -655,7 +1223,12 @@
   // ═══════════════════════════════════════════════════════════════════
 
   window.LotusDB = LotusDB;
+  LotusDB.OUTBOX_STATUS = OUTBOX_STATUS;
+  LotusDB.OUTBOX_SYNC_TAG = OUTBOX.SYNC_TAG;
 
   console.log('[LotusDB] Module loaded');
 
-})(window, document);
+})(
+  typeof window !== 'undefined' ? window : self, // self in service worker
+  typeof document !== 'undefined' ? document : null
+);
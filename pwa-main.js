@@ -55,7 +55,46 @@
       EASING: 'ease-in-out'
     },
     
+    STOCK_ALERTS: {
+      SYNC_TAG: 'stock-alerts', // periodicsync in service-worker.js
+      MIN_INTERVAL: 12 * 60 * 60 * 1000 // 12 hours
+    },
+    
+    PUSH: {
+      // ⚠️ Web Push VAPID public key (base64url), must match the backend's private key
+      VAPID_PUBLIC_KEY: '',
+      PROMPT_STORAGE_KEY: 'pvt-push-prompt-v1',
+      PROMPT_COOLDOWN: 14 * 24 * 60 * 60 * 1000 // 14 days after "×"
+    },
+    
     OFFLINE_TTL: 7 * 24 * 60 * 60 * 1000, // 7 days
+    CATALOG_REFRESH_INTERVAL: 24 * 60 * 60 * 1000, // Blogger feed import / API catalog pull
+    CATALOG_SYNC_TAG: 'catalog-refresh', // periodicsync in service-worker.js
+    SW_MESSAGE_TIMEOUT: 10000, // 10 seconds
+    
+    // Photos shared to the app for a matching-glass inquiry
+    INQUIRY: {
+      MAX_IMAGES: 3,
+      IMAGE_MAX_SIZE: 1280, // px, longest side
+      IMAGE_QUALITY: 0.85 // JPEG
+    },
+    
+    CHECKOUT: {
+      // Vietnamese provinces / districts / wards
+      REGIONS_API: 'https://provinces.open-api.vn/api',
+      REGIONS_TIMEOUT: 5000, // then free-text address fields
+      
+      DELIVERY_METHODS: [
+        { id: 'standard', name: 'Giao hàng tiêu chuẩn', description: '3-5 ngày', fee: 30000 },
+        { id: 'express', name: 'Giao hàng nhanh', description: '1-2 ngày', fee: 50000 },
+        { id: 'pickup', name: 'Nhận tại cửa hàng', description: 'Shop gọi khi hàng sẵn sàng', fee: 0 }
+      ],
+      
+      PAYMENT_METHODS: [
+        { id: 'cod', name: 'Thanh toán khi nhận hàng (COD)' },
+        { id: 'bank_transfer', name: 'Chuyển khoản ngân hàng', description: 'Shop gửi thông tin tài khoản sau khi xác nhận đơn' }
+      ]
+    },
     
     DEBUG: false // Set to true for development
   };
@@ -67,6 +106,7 @@
   const State = {
     cart: [],
     user: null,
+    voucher: null, // { code, discount, description } from API.checkVoucher
     products: [],
     categories: [],
     currentFilters: {},
@@ -249,6 +289,34 @@
     }
   };
 
+  // ═══════════════════════════════════════════════════════════════════
+  // 💾 LOCAL DATABASE (LotusDB from indexeddb.js)
+  // ═══════════════════════════════════════════════════════════════════
+
+  const DB = {
+    ready: null,
+    
+    // Open LotusDB once, shared by all modules
+    open() {
+      if (!this.ready) {
+        if (!window.LotusDB) {
+          return Promise.reject(new Error('LotusDB not loaded'));
+        }
+        
+        this.ready = new window.LotusDB({
+          apiUrl: CONFIG.API_URL,
+          blogUrl: CONFIG.BLOG_URL
+        }).init()
+          .catch(error => {
+            this.ready = null;
+            throw error;
+          });
+      }
+      
+      return this.ready;
+    }
+  };
+
   // ═══════════════════════════════════════════════════════════════════
   // 🌐 API SERVICE
   // ═══════════════════════════════════════════════════════════════════
@@ -322,71 +390,118 @@
       });
     },
     
-    async createOrder(orderData) {
+    async post(action, data) {
+      const response = await fetch(`${this.baseUrl}?action=${action}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(data)
+      });
+      
+      return response.json();
+    },
+    
+    async savePushSubscription(data) {
+      return this.post('savePushSubscription', data);
+    },
+    
+    async deletePushSubscription(endpoint) {
+      return this.post('deletePushSubscription', { endpoint: endpoint });
+    },
+    
+    async createInquiry(inquiryData) {
+      const payload = {
+        ...inquiryData,
+        idempotencyKey: inquiryData.idempotencyKey || Utils.generateId('createInquiry')
+      };
+      
+      let response;
+      
       try {
-        const response = await fetch(this.baseUrl + '?action=createOrder', {
+        response = await fetch(`${this.baseUrl}?action=createInquiry`, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
           },
-          body: JSON.stringify(orderData)
+          body: JSON.stringify(payload)
         });
-        
-        return await response.json();
       } catch (error) {
-        console.error('[API] Create order failed:', error);
+        console.error('[API] Create inquiry failed:', error);
         
-        // Save to IndexedDB for background sync
-        await this.saveOfflineOrder(orderData);
+        // Queue only when the request never reached the server
+        const entry = await this.queueOffline('createInquiry', payload);
+        error.queued = !!entry;
+        error.outboxEntry = entry;
         
         throw error;
       }
+      
+      return response.json();
+    },
+    
+    async registerStockAlert(data) {
+      return this.post('registerStockAlert', data);
+    },
+    
+    async cancelStockAlert(data) {
+      return this.post('cancelStockAlert', data);
     },
     
-    async saveOfflineOrder(orderData) {
+    async createOrder(orderData) {
+      // Same key on every attempt lets the backend drop duplicates
+      const payload = {
+        ...orderData,
+        idempotencyKey: orderData.idempotencyKey || Utils.generateId('createOrder')
+      };
+      
+      let response;
+      
       try {
-        const db = await this.openDB();
-        const tx = db.transaction(['pending-orders'], 'readwrite');
-        const store = tx.objectStore('pending-orders');
-        
-        await store.add({
-          id: Date.now(),
-          data: orderData,
-          apiUrl: this.baseUrl,
-          createdAt: Date.now()
+        response = await fetch(this.baseUrl + '?action=createOrder', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
         });
+      } catch (error) {
+        console.error('[API] Create order failed:', error);
         
-        console.log('[API] Order saved offline, will sync when online');
+        // No response at all - save to outbox for background sync.
+        // A server error or non-JSON answer is thrown below, not queued.
+        const entry = await this.queueOfflineOrder(payload);
+        error.queued = !!entry;
+        error.outboxEntry = entry;
         
-        // Register background sync
-        if ('serviceWorker' in navigator && 'sync' in registration) {
-          const registration = await navigator.serviceWorker.ready;
-          await registration.sync.register('sync-orders');
-        }
-      } catch (error) {
-        console.error('[API] Save offline order failed:', error);
+        throw error;
       }
+      
+      return response.json();
     },
     
-    openDB() {
-      return new Promise((resolve, reject) => {
-        const request = indexedDB.open('lotus-glass-db', 1);
+    async queueOfflineOrder(orderData) {
+      return this.queueOffline('createOrder', orderData);
+    },
+    
+    async queueOffline(action, data) {
+      try {
+        const db = await DB.open();
+        const entry = await db.outbox.enqueue(action, data, {
+          apiUrl: this.baseUrl,
+          idempotencyKey: data.idempotencyKey
+        });
         
-        request.onerror = () => reject(request.error);
-        request.onsuccess = () => resolve(request.result);
+        console.log(`[API] ${action} saved offline, will sync when online`);
         
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-          
-          if (!db.objectStoreNames.contains('pending-orders')) {
-            db.createObjectStore('pending-orders', { keyPath: 'id' });
-          }
-          
-          if (!db.objectStoreNames.contains('products-cache')) {
-            db.createObjectStore('products-cache', { keyPath: 'id' });
-          }
-        };
-      });
+        // Register background sync (otherwise PWA.setupOutbox flushes on 'online')
+        await db.outbox.requestSync();
+        
+        return entry;
+      } catch (error) {
+        console.error(`[API] Save offline ${action} failed:`, error);
+        return null;
+      }
     }
   };
 
@@ -435,14 +550,15 @@
                 ` : ''}
                 
                 <div class="pwa-product-actions">
+                  ${product.Stock <= 0 ? this.renderStockAlertButton(product) : `
                   <button class="pwa-btn pwa-btn-primary pwa-btn-add-cart" 
-                          data-product-id="${product.ProductID}"
-                          ${product.Stock <= 0 ? 'disabled' : ''}>
+                          data-product-id="${product.ProductID}">
                     <svg width="20" height="20" fill="currentColor" viewBox="0 0 20 20">
                       <path d="M3 1a1 1 0 000 2h1.22l.305 1.222a.997.997 0 00.01.042l1.358 5.43-.893.892C3.74 11.846 4.632 14 6.414 14H15a1 1 0 000-2H6.414l1-1H14a1 1 0 00.894-.553l3-6A1 1 0 0017 3H6.28l-.31-1.243A1 1 0 005 1H3zM16 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM6.5 18a1.5 1.5 0 100-3 1.5 1.5 0 000 3z"/>
                     </svg>
-                    ${product.Stock <= 0 ? 'Hết hàng' : 'Thêm vào giỏ'}
+                    Thêm vào giỏ
                   </button>
+                  `}
                   
                   <a href="#/product/${product.ProductID}" class="pwa-btn pwa-btn-secondary">
                     Chi tiết
@@ -459,6 +575,205 @@
       return html;
     },
     
+    // Out of stock: subscribe to a back-in-stock alert instead of add to cart
+    renderStockAlertButton(product) {
+      return `
+        <button class="pwa-btn pwa-btn-secondary pwa-btn-stock-alert"
+                data-product-id="${product.ProductID}">
+          <svg width="20" height="20" fill="currentColor" viewBox="0 0 20 20">
+            <path d="M10 2a6 6 0 00-6 6v3.586l-.707.707A1 1 0 004 14h12a1 1 0 00.707-1.707L16 11.586V8a6 6 0 00-6-6zM10 18a3 3 0 01-3-3h6a3 3 0 01-3 3z"/>
+          </svg>
+          <span class="pwa-stock-alert-label">Báo khi có hàng</span>
+        </button>
+      `;
+    },
+    
+    renderProductDetail(product, related = []) {
+      const images = Utils.getProductImages(product);
+      const variants = Utils.getProductVariants(product);
+      const name = Utils.escapeHtml(product.Name || '');
+      const outOfStock = product.Stock <= 0;
+      
+      return `
+        <div class="pwa-product-detail" data-product-id="${product.ProductID}">
+          <div class="pwa-detail-gallery">
+            <div class="pwa-detail-image">
+              <img id="pwa-detail-image"
+                   src="${Utils.escapeHtml(images[0] || '/placeholder.png')}"
+                   alt="${name}"
+                   onerror="this.src='/placeholder.png'">
+              ${outOfStock ? '<span class="pwa-badge pwa-badge-outofstock">Hết hàng</span>' : ''}
+            </div>
+            
+            ${images.length > 1 ? `
+              <div class="pwa-detail-thumbs">
+                ${images.map((image, index) => `
+                  <button type="button" class="pwa-detail-thumb ${index === 0 ? 'is-active' : ''}"
+                          data-image="${Utils.escapeHtml(image)}" aria-label="Ảnh ${index + 1}">
+                    <img src="${Utils.escapeHtml(image)}" alt="" loading="lazy">
+                  </button>
+                `).join('')}
+              </div>
+            ` : ''}
+          </div>
+          
+          <div class="pwa-detail-info">
+            <h1 class="pwa-detail-name">${name}</h1>
+            
+            <div class="pwa-product-price" id="pwa-detail-price">
+              ${Utils.formatCurrency(product.Price)}
+            </div>
+            
+            <div class="pwa-detail-stock ${outOfStock ? 'is-out' : ''}" id="pwa-detail-stock">
+              ${outOfStock ? 'Hết hàng' : product.Stock > 0 ? `Còn ${product.Stock} sản phẩm` : 'Còn hàng'}
+            </div>
+            
+            ${variants.length > 0 ? `
+              <div class="pwa-detail-variants">
+                <span class="pwa-detail-label">Phân loại</span>
+                ${variants.map((variant, index) => `
+                  <button type="button" class="pwa-variant-option"
+                          data-variant-index="${index}"
+                          ${variant.stock !== null && variant.stock <= 0 ? 'disabled' : ''}>
+                    ${Utils.escapeHtml(variant.name)}
+                  </button>
+                `).join('')}
+              </div>
+            ` : ''}
+            
+            ${outOfStock ? `
+              <div class="pwa-product-actions">
+                ${this.renderStockAlertButton(product)}
+              </div>
+            ` : `
+              <div class="pwa-detail-quantity">
+                <span class="pwa-detail-label">Số lượng</span>
+                ${this.renderQuantityStepper(1, product.Stock, 'pwa-detail-qty')}
+              </div>
+              
+              <div class="pwa-product-actions">
+                <button type="button" class="pwa-btn pwa-btn-primary" id="pwa-detail-add-cart">
+                  Thêm vào giỏ
+                </button>
+              </div>
+            `}
+            
+            ${product.Description ? `
+              <div class="pwa-detail-description">
+                ${Utils.escapeHtml(product.Description).replace(/\n/g, '<br>')}
+              </div>
+            ` : ''}
+          </div>
+        </div>
+        
+        ${related.length > 0 ? `
+          <section class="pwa-related-products">
+            <h2>Sản phẩm liên quan</h2>
+            ${this.renderProductGrid(related)}
+          </section>
+        ` : ''}
+      `;
+    },
+    
+    renderCart(cart, voucher) {
+      if (cart.length === 0) {
+        return `
+          <div class="pwa-cart pwa-empty-state">
+            <svg width="64" height="64" fill="currentColor" viewBox="0 0 20 20">
+              <path d="M3 1a1 1 0 000 2h1.22l.305 1.222a.997.997 0 00.01.042l1.358 5.43-.893.892C3.74 11.846 4.632 14 6.414 14H15a1 1 0 000-2H6.414l1-1H14a1 1 0 00.894-.553l3-6A1 1 0 0017 3H6.28l-.31-1.243A1 1 0 005 1H3zM16 16.5a1.5 1.5 0 11-3 0 1.5 1.5 0 013 0zM6.5 18a1.5 1.5 0 100-3 1.5 1.5 0 000 3z"/>
+            </svg>
+            <h3>Giỏ hàng trống</h3>
+            <p>Hãy chọn vài sản phẩm bạn yêu thích</p>
+            <a href="#/" class="pwa-btn pwa-btn-primary">Tiếp tục mua sắm</a>
+          </div>
+        `;
+      }
+      
+      const subtotal = State.getCartTotal();
+      const discount = voucher ? Math.min(voucher.discount, subtotal) : 0;
+      
+      return `
+        <div class="pwa-cart">
+          <h2>Giỏ hàng (${State.getCartCount()})</h2>
+          
+          <div class="pwa-cart-items">
+            ${cart.map((item, index) => `
+              <div class="pwa-cart-item" data-index="${index}">
+                <img class="pwa-cart-item-image"
+                     src="${item.image || '/placeholder.png'}"
+                     alt="${Utils.escapeHtml(item.name || '')}"
+                     loading="lazy"
+                     onerror="this.src='/placeholder.png'">
+                
+                <div class="pwa-cart-item-info">
+                  <a href="#/product/${item.productId}" class="pwa-cart-item-name">
+                    ${Utils.escapeHtml(item.name || '')}
+                  </a>
+                  ${item.variant ? `
+                    <div class="pwa-cart-item-variant">
+                      Phân loại: ${Utils.escapeHtml(item.variant.name || String(item.variant))}
+                    </div>
+                  ` : ''}
+                  <div class="pwa-cart-item-price">${Utils.formatCurrency(item.price)}</div>
+                </div>
+                
+                ${this.renderQuantityStepper(item.quantity, 0)}
+                
+                <div class="pwa-cart-item-subtotal">
+                  ${Utils.formatCurrency(item.price * item.quantity)}
+                </div>
+                
+                <button type="button" class="pwa-cart-remove" data-index="${index}" aria-label="Xóa">×</button>
+              </div>
+            `).join('')}
+          </div>
+          
+          <div class="pwa-cart-summary">
+            <form class="pwa-voucher-form" id="pwa-voucher-form">
+              <input type="text" name="code" placeholder="Mã giảm giá"
+                     value="${voucher ? Utils.escapeHtml(voucher.code) : ''}" autocomplete="off">
+              <button type="submit" class="pwa-btn pwa-btn-secondary">Áp dụng</button>
+            </form>
+            
+            ${voucher && voucher.description ? `
+              <p class="pwa-voucher-note">${Utils.escapeHtml(voucher.description)}</p>
+            ` : ''}
+            
+            <div class="pwa-cart-row">
+              <span>Tạm tính</span>
+              <span>${Utils.formatCurrency(subtotal)}</span>
+            </div>
+            
+            ${discount > 0 ? `
+              <div class="pwa-cart-row pwa-cart-discount">
+                <span>Giảm giá (${Utils.escapeHtml(voucher.code)})</span>
+                <span>−${Utils.formatCurrency(discount)}</span>
+              </div>
+            ` : ''}
+            
+            <div class="pwa-cart-row pwa-cart-total">
+              <span>Tổng cộng</span>
+              <span>${Utils.formatCurrency(subtotal - discount)}</span>
+            </div>
+            
+            <a href="#/checkout" class="pwa-btn pwa-btn-primary pwa-btn-checkout">Đặt hàng</a>
+          </div>
+        </div>
+      `;
+    },
+    
+    // − [n] + ; clamped to min..max by attachEventListeners, fires 'change'
+    renderQuantityStepper(value, max, id = '') {
+      return `
+        <div class="pwa-qty-stepper">
+          <button type="button" class="pwa-qty-btn" data-step="-1" aria-label="Giảm">−</button>
+          <input type="number" class="pwa-qty-input" ${id ? `id="${id}"` : ''}
+                 value="${value}" min="1" ${max > 0 ? `max="${max}"` : ''} inputmode="numeric">
+          <button type="button" class="pwa-qty-btn" data-step="1" aria-label="Tăng">+</button>
+        </div>
+      `;
+    },
+    
     renderEmpty() {
       return `
         <div class="pwa-empty-state">
@@ -497,6 +812,53 @@
     },
     
     attachEventListeners() {
+      // Quantity steppers
+      document.querySelectorAll('.pwa-qty-stepper').forEach(stepper => {
+        const input = stepper.querySelector('.pwa-qty-input');
+        
+        const setValue = (value) => {
+          const max = parseInt(input.max, 10) || Infinity;
+          const next = Math.min(Math.max(value || 1, 1), max);
+          
+          if (String(next) !== input.value) {
+            input.value = next;
+          }
+          input.dispatchEvent(new Event('change', { bubbles: true }));
+        };
+        
+        stepper.querySelectorAll('.pwa-qty-btn').forEach(btn => {
+          btn.addEventListener('click', () => {
+            setValue(parseInt(input.value, 10) + parseInt(btn.dataset.step, 10));
+          });
+        });
+        
+        input.addEventListener('blur', () => setValue(parseInt(input.value, 10)));
+      });
+      
+      // Back-in-stock alert buttons
+      const alertButtons = document.querySelectorAll('.pwa-btn-stock-alert');
+      
+      alertButtons.forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+          e.preventDefault();
+          btn.disabled = true;
+          
+          try {
+            await StockAlerts.toggle(btn.dataset.productId);
+          } catch (error) {
+            console.error('[UI] Stock alert failed:', error);
+            State.showToast('Không thể đăng ký báo hàng', 'error');
+          } finally {
+            btn.disabled = false;
+            StockAlerts.updateButtons();
+          }
+        });
+      });
+      
+      if (alertButtons.length > 0) {
+        StockAlerts.updateButtons();
+      }
+      
       // Add to cart buttons
       document.querySelectorAll('.pwa-btn-add-cart').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -522,6 +884,104 @@
       });
     },
     
+    // Persistent toast with one action button (stays until clicked or closed)
+    showActionToast({ id, message, actionLabel, onAction, onDismiss }) {
+      if (document.getElementById(id)) {
+        return;
+      }
+      
+      const toast = document.createElement('div');
+      toast.id = id;
+      toast.className = 'pwa-toast pwa-toast-action';
+      toast.setAttribute('role', 'status');
+      toast.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 12px 16px;
+        background: #1f2937;
+        color: white;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+        z-index: 10000;
+        animation: slideIn 0.3s ease-out;
+      `;
+      toast.innerHTML = `
+        <span>${Utils.escapeHtml(message)}</span>
+        <button type="button" class="pwa-btn pwa-btn-primary pwa-toast-action-btn">${Utils.escapeHtml(actionLabel)}</button>
+        <button type="button" class="pwa-toast-dismiss" aria-label="Đóng"
+                style="background:none;border:none;color:inherit;font-size:18px;cursor:pointer">×</button>
+      `;
+      
+      const actionBtn = toast.querySelector('.pwa-toast-action-btn');
+      actionBtn.addEventListener('click', () => {
+        actionBtn.disabled = true;
+        onAction(toast);
+      });
+      toast.querySelector('.pwa-toast-dismiss').addEventListener('click', () => {
+        toast.remove();
+        onDismiss && onDismiss();
+      });
+      
+      document.body.appendChild(toast);
+    },
+    
+    // New service worker waiting
+    showUpdateToast(version, onReload) {
+      this.showActionToast({
+        id: 'pwa-update-toast',
+        message: `Đã có phiên bản mới${version ? ' v' + version : ''}`,
+        actionLabel: 'Tải lại',
+        onAction: onReload
+      });
+    },
+    
+    // Product inquiry / quote request, pre-filled from a share_target entry
+    renderInquiryForm(share, previews = []) {
+      const user = State.user || {};
+      const message = [share.title, share.text, share.url].filter(Boolean).join('\n');
+      
+      return `
+        <div class="pwa-inquiry">
+          <h2>Gửi yêu cầu tư vấn / báo giá</h2>
+          <p>Gửi cho shop sản phẩm bạn quan tâm, chúng tôi sẽ liên hệ lại.</p>
+          
+          <form id="pwa-inquiry-form" class="pwa-form">
+            ${previews.length > 0 ? `
+              <div class="pwa-inquiry-photos">
+                ${previews.map(url => `<img src="${url}" alt="Ảnh bạn đã chia sẻ">`).join('')}
+              </div>
+            ` : ''}
+            
+            <label class="pwa-form-field">
+              <span>Họ tên</span>
+              <input type="text" name="name" required value="${Utils.escapeHtml(user.name || '')}">
+            </label>
+            
+            <label class="pwa-form-field">
+              <span>Số điện thoại</span>
+              <input type="tel" name="phone" required pattern="[0-9+ ]{9,15}" value="${Utils.escapeHtml(user.phone || '')}">
+            </label>
+            
+            <label class="pwa-form-field">
+              <span>Email</span>
+              <input type="email" name="email" value="${Utils.escapeHtml(user.email || '')}">
+            </label>
+            
+            <label class="pwa-form-field">
+              <span>Nội dung</span>
+              <textarea name="message" rows="5" ${previews.length > 0 ? '' : 'required'}>${Utils.escapeHtml(message)}</textarea>
+            </label>
+            
+            <button type="submit" class="pwa-btn pwa-btn-primary">Gửi yêu cầu</button>
+          </form>
+        </div>
+      `;
+    },
+    
     showLoading() {
       const container = document.querySelector(this.containerSelector);
       if (container) {
@@ -572,6 +1032,9 @@
       } else if (path === 'search') {
         handler = this.routes['/search'];
         handler && handler(params[0]);
+      } else if (path === 'share') {
+        handler = this.routes['/share/:id'];
+        handler && handler(params[0]);
       } else if (this.routes[`/${path}`]) {
         handler = this.routes[`/${path}`];
         handler && handler();
@@ -621,100 +1084,1483 @@
         "'": '&#039;'
       };
       return text.replace(/[&<>"']/g, m => map[m]);
-    }
-  };
-
-  // ═══════════════════════════════════════════════════════════════════
-  // 🚀 MAIN APP
-  // ═══════════════════════════════════════════════════════════════════
-
-  const PWA = {
-    init() {
-      console.log('[PWA] Initializing v2.0...');
-      
-      // Initialize state
-      State.init();
-      
-      // Register routes
-      this.registerRoutes();
-      
-      // Initialize router
-      Router.init();
+    },
+    
+    // VAPID key (base64url) → applicationServerKey
+    urlBase64ToUint8Array(base64String) {
+      const padding = '='.repeat((4 - base64String.length % 4) % 4);
+      const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+      const raw = window.atob(base64);
+      return Uint8Array.from(raw, char => char.charCodeAt(0));
+    },
+    
+    // Downscale to JPEG before upload: { name, type, width, height, data (base64) }
+    async resizeImage(file, maxSize, quality) {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
       
-      // Setup cart UI
-      this.setupCartUI();
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(bitmap.width * scale);
+      canvas.height = Math.round(bitmap.height * scale);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
       
-      // Update cart badge
-      State.updateCartBadge();
+      if (bitmap.close) {
+        bitmap.close();
+      }
       
-      // Integration with filter widget
-      this.setupFilterIntegration();
+      const dataUrl = canvas.toDataURL('image/jpeg', quality);
       
-      console.log('[PWA] Initialized successfully');
+      return {
+        name: (file.name || 'photo').replace(/\.[^.]+$/, '') + '.jpg',
+        type: 'image/jpeg',
+        width: canvas.width,
+        height: canvas.height,
+        data: dataUrl.slice(dataUrl.indexOf(',') + 1)
+      };
     },
     
-    registerRoutes() {
-      // Home/Products list
-      Router.register('/', () => this.loadProducts());
-      
-      // Product detail
-      Router.register('/product/:id', (id) => this.loadProductDetail(id));
+    // Product.Images: array, JSON array or comma-separated URLs
+    getProductImages(product) {
+      const images = this.toList(product.Images);
       
-      // Cart
-      Router.register('/cart', () => this.showCart());
-      
-      // Checkout
-      Router.register('/checkout', () => this.showCheckout());
-      
-      // Search
-      Router.register('/search', (query) => this.searchProducts(query));
+      if (product.Image && !images.includes(product.Image)) {
+        images.unshift(product.Image);
+      }
       
-      // 404
-      Router.register('/404', () => this.show404());
+      return images;
     },
     
-    async loadProducts(filters = {}) {
-      UI.showLoading();
+    // Product.Variants: names, or objects with Name / Price / Stock
+    getProductVariants(product) {
+      return this.toList(product.Variants).map((variant, index) => {
+        if (typeof variant !== 'object') {
+          return { id: String(variant), name: String(variant), price: null, stock: null };
+        }
+        
+        const price = variant.Price !== undefined ? variant.Price : variant.price;
+        const stock = variant.Stock !== undefined ? variant.Stock : variant.stock;
+        
+        return {
+          id: String(variant.VariantID || variant.SKU || variant.id || index),
+          name: variant.Name || variant.name || variant.Label || `Loại ${index + 1}`,
+          price: price !== undefined && price !== '' ? parseFloat(price) : null,
+          stock: stock !== undefined && stock !== '' ? parseInt(stock, 10) : null
+        };
+      });
+    },
+    
+    toList(value) {
+      if (Array.isArray(value)) {
+        return value.slice();
+      }
+      
+      if (typeof value !== 'string' || value.trim() === '') {
+        return [];
+      }
       
       try {
-        const result = await API.getProducts({
-          ...State.currentFilters,
-          ...filters
-        });
-        
-        if (result.success) {
-          State.products = result.data;
-          UI.render(UI.renderProductGrid(result.data, result.meta));
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) {
+          return parsed;
         }
       } catch (error) {
-        console.error('[PWA] Load products failed:', error);
-        State.showToast('Không thể tải sản phẩm', 'error');
+        // Not JSON - comma-separated
+      }
+      
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    },
+    
+    // Same shape as resizeImage, original bytes (width/height unknown)
+    readImageFile(file) {
+      return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        
+        reader.onload = () => resolve({
+          name: file.name || 'photo',
+          type: file.type || 'application/octet-stream',
+          width: null,
+          height: null,
+          data: reader.result.slice(reader.result.indexOf(',') + 1)
+        });
+        reader.onerror = () => reject(reader.error);
+        
+        reader.readAsDataURL(file);
+      });
+    },
+    
+    generateId(prefix = 'id') {
+      const random = window.crypto && window.crypto.randomUUID
+        ? window.crypto.randomUUID()
+        : Math.random().toString(36).slice(2) + Date.now().toString(36);
+      return `${prefix}-${random}`;
+    },
+    
+    // Periodic Background Sync is Chromium-only and needs an installed app
+    async registerPeriodicSync(tag, minInterval) {
+      try {
+        const registration = await navigator.serviceWorker.ready;
+        
+        if (!('periodicSync' in registration)) {
+          return false;
+        }
+        
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        
+        if (status.state !== 'granted') {
+          return false;
+        }
+        
+        await registration.periodicSync.register(tag, { minInterval: minInterval });
+        
+        return true;
+      } catch (error) {
+        console.error('[PWA] Periodic sync registration failed:', tag, error);
+        return false;
+      }
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // ⚙️ SERVICE WORKER RPC
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Request/response over a MessageChannel, see MESSAGE_HANDLERS in service-worker.js
+  const SW = {
+    request(type, payload = {}, options = {}) {
+      const timeout = options.timeout || CONFIG.SW_MESSAGE_TIMEOUT;
+      
+      if (!('serviceWorker' in navigator)) {
+        return Promise.reject(new Error('Service worker not supported'));
+      }
+      
+      return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        
+        // Also covers `ready` never resolving when no worker is registered
+        const timer = setTimeout(() => {
+          channel.port1.close();
+          reject(new Error(`Service worker did not answer ${type} in ${timeout}ms`));
+        }, timeout);
+        
+        channel.port1.onmessage = (event) => {
+          const response = event.data || {};
+          
+          clearTimeout(timer);
+          channel.port1.close();
+          
+          if (response.success) {
+            resolve(response.result);
+          } else {
+            const error = new Error((response.error && response.error.message) || `${type} failed`);
+            error.name = (response.error && response.error.name) || 'Error';
+            reject(error);
+          }
+        };
+        
+        navigator.serviceWorker.ready.then(registration => {
+          // options.worker: e.g. the waiting worker of an update
+          const worker = options.worker || navigator.serviceWorker.controller || registration.active;
+          
+          worker.postMessage({
+            id: Utils.generateId('msg'),
+            type: type,
+            payload: payload
+          }, [channel.port2]);
+        }).catch(error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+      });
+    },
+    
+    getVersion(worker) {
+      return this.request('GET_VERSION', {}, { worker: worker });
+    },
+    
+    getCacheStats() {
+      return this.request('GET_CACHE_STATS');
+    },
+    
+    // No name = every runtime cache (the precache is kept)
+    clearCache(cacheName) {
+      return this.request('CLEAR_CACHE', { cacheName: cacheName || null });
+    },
+    
+    precacheUrls(urls) {
+      return this.request('PRECACHE_URLS', { urls: urls }, { timeout: 60000 });
+    },
+    
+    // sync-orders (default) | catalog-refresh | stock-alerts
+    syncNow(tag) {
+      return this.request('SYNC_NOW', { tag: tag }, { timeout: 60000 });
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // 🔔 PUSH NOTIFICATIONS
+  // ═══════════════════════════════════════════════════════════════════
+
+  const Push = {
+    // Push payload `topic` → preference; muted topics are dropped by the service worker
+    TOPICS: {
+      orders: 'Trạng thái đơn hàng',
+      restock: 'Sản phẩm bạn đã xem có hàng trở lại',
+      promotions: 'Khuyến mãi và ưu đãi'
+    },
+    
+    isSupported() {
+      return 'serviceWorker' in navigator &&
+        'PushManager' in window &&
+        'Notification' in window &&
+        !!CONFIG.PUSH.VAPID_PUBLIC_KEY;
+    },
+    
+    async getSubscription() {
+      if (!this.isSupported()) {
+        return null;
+      }
+      
+      const registration = await navigator.serviceWorker.ready;
+      return registration.pushManager.getSubscription();
+    },
+    
+    // Must be called from a user gesture (permission prompt)
+    async subscribe() {
+      if (!this.isSupported()) {
+        return null;
+      }
+      
+      const permission = await Notification.requestPermission();
+      
+      if (permission !== 'granted') {
+        console.log('[Push] Permission:', permission);
+        return null;
+      }
+      
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: Utils.urlBase64ToUint8Array(CONFIG.PUSH.VAPID_PUBLIC_KEY)
+        });
+      
+      await this.sendSubscription(subscription);
+      
+      console.log('[Push] Subscribed');
+      
+      return subscription;
+    },
+    
+    async unsubscribe() {
+      const subscription = await this.getSubscription();
+      
+      if (!subscription) {
+        return false;
+      }
+      
+      try {
+        await API.deletePushSubscription(subscription.endpoint);
+      } catch (error) {
+        console.error('[Push] Delete subscription on server failed:', error);
+      }
+      
+      await subscription.unsubscribe();
+      await this.saveConfig(null);
+      
+      console.log('[Push] Unsubscribed');
+      
+      return true;
+    },
+    
+    async sendSubscription(subscription) {
+      const preferences = await this.getPreferences();
+      
+      const result = await API.savePushSubscription({
+        subscription: subscription.toJSON(),
+        topics: preferences,
+        user: State.user
+      });
+      
+      if (!result.success) {
+        throw new Error(result.error || 'Save subscription failed');
+      }
+      
+      await this.saveConfig(subscription);
+    },
+    
+    // Service worker resubscribes on pushsubscriptionchange with this
+    async saveConfig(subscription) {
+      try {
+        const db = await DB.open();
+        
+        if (!subscription) {
+          await db.settings.delete('push');
+          return;
+        }
+        
+        await db.settings.put({
+          key: 'push',
+          apiUrl: CONFIG.API_URL,
+          vapidPublicKey: CONFIG.PUSH.VAPID_PUBLIC_KEY,
+          endpoint: subscription.endpoint,
+          user: State.user
+        });
+      } catch (error) {
+        console.error('[Push] Save config failed:', error);
+      }
+    },
+    
+    // { orders: true, restock: true, promotions: false }, all on by default
+    async getPreferences() {
+      const preferences = {};
+      Object.keys(this.TOPICS).forEach(topic => {
+        preferences[topic] = true;
+      });
+      
+      try {
+        const db = await DB.open();
+        const saved = await db.settings.get('notificationPrefs');
+        return { ...preferences, ...(saved ? saved.topics : {}) };
+      } catch (error) {
+        console.error('[Push] Load preferences failed:', error);
+        return preferences;
+      }
+    },
+    
+    async setPreferences(topics) {
+      const db = await DB.open();
+      await db.settings.put({ key: 'notificationPrefs', topics: topics });
+      
+      // Let the backend skip muted topics too
+      const subscription = await this.getSubscription();
+      if (subscription) {
+        await this.sendSubscription(subscription);
+      }
+    },
+    
+    // In-app prompt after the customer adds to cart, instead of on page load
+    async maybePrompt() {
+      if (this.prompted || !this.isSupported() || Notification.permission !== 'default') {
+        return;
+      }
+      
+      const dismissedAt = parseInt(localStorage.getItem(CONFIG.PUSH.PROMPT_STORAGE_KEY), 10);
+      if (dismissedAt && Date.now() - dismissedAt < CONFIG.PUSH.PROMPT_COOLDOWN) {
+        return;
+      }
+      
+      this.prompted = true;
+      
+      UI.showActionToast({
+        id: 'pwa-push-prompt',
+        message: 'Nhận thông báo đơn hàng và ưu đãi?',
+        actionLabel: 'Bật thông báo',
+        onAction: async (toast) => {
+          toast.remove();
+          try {
+            if (await this.subscribe()) {
+              State.showToast('Đã bật thông báo', 'success');
+            }
+          } catch (error) {
+            console.error('[Push] Subscribe failed:', error);
+            State.showToast('Không thể bật thông báo', 'error');
+          }
+        },
+        onDismiss: () => {
+          localStorage.setItem(CONFIG.PUSH.PROMPT_STORAGE_KEY, String(Date.now()));
+        }
+      });
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // 📦 BACK-IN-STOCK ALERTS
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Watched products live in LotusDB `watchlist`. The backend pushes a
+  // `restock` notification; the service worker also polls getProductDetail
+  // via periodic background sync, and checkNow() covers browsers without it.
+  const StockAlerts = {
+    async isWatching(productId) {
+      const db = await DB.open();
+      const item = await db.watchlist.get(String(productId));
+      return !!item && !item.notifiedAt;
+    },
+    
+    async toggle(productId) {
+      if (await this.isWatching(productId)) {
+        await this.unwatch(productId);
+        State.showToast('Đã hủy báo khi có hàng', 'info');
+      } else {
+        await this.watch(productId);
+        State.showToast('Chúng tôi sẽ báo khi sản phẩm có hàng', 'success');
+      }
+    },
+    
+    async watch(productId) {
+      const product = State.products.find(item => String(item.ProductID) === String(productId)) ||
+        { ProductID: productId };
+      
+      // Permission prompt needs this click; push also lets the backend notify
+      const subscription = await this.requestNotifications();
+      
+      const db = await DB.open();
+      await db.watchlist.put({
+        ProductID: String(productId),
+        Name: product.Name || '',
+        Image: product.Image || '',
+        apiUrl: CONFIG.API_URL,
+        createdAt: Date.now(),
+        notifiedAt: null
+      });
+      
+      try {
+        await API.registerStockAlert({
+          productId: productId,
+          endpoint: subscription ? subscription.endpoint : null,
+          user: State.user
+        });
+      } catch (error) {
+        // Periodic sync / checkNow still cover it
+        console.error('[StockAlerts] Register on server failed:', error);
+      }
+      
+      await this.registerPeriodicSync();
+    },
+    
+    async unwatch(productId) {
+      const db = await DB.open();
+      await db.watchlist.delete(String(productId));
+      
+      try {
+        const subscription = await Push.getSubscription();
+        await API.cancelStockAlert({
+          productId: productId,
+          endpoint: subscription ? subscription.endpoint : null
+        });
+      } catch (error) {
+        console.error('[StockAlerts] Cancel on server failed:', error);
+      }
+    },
+    
+    async requestNotifications() {
+      try {
+        if (Push.isSupported()) {
+          return await Push.getSubscription() || await Push.subscribe();
+        }
+        
+        if ('Notification' in window && Notification.permission === 'default') {
+          await Notification.requestPermission();
+        }
+      } catch (error) {
+        console.error('[StockAlerts] Notification permission failed:', error);
+      }
+      
+      return null;
+    },
+    
+    async registerPeriodicSync() {
+      return Utils.registerPeriodicSync(CONFIG.STOCK_ALERTS.SYNC_TAG, CONFIG.STOCK_ALERTS.MIN_INTERVAL);
+    },
+    
+    // App launch: check stock directly, tell the customer in-app
+    async checkNow() {
+      try {
+        const db = await DB.open();
+        const watched = (await db.watchlist.getAll()).filter(item => !item.notifiedAt);
+        
+        for (const item of watched) {
+          const result = await API.getProductDetail(item.ProductID);
+          
+          if (result.success && result.data && result.data.Stock > 0) {
+            await db.watchlist.put({ ...item, notifiedAt: Date.now() });
+            State.showToast(`${result.data.Name || item.Name} đã có hàng trở lại`, 'success');
+          }
+        }
+      } catch (error) {
+        console.error('[StockAlerts] Stock check failed:', error);
+      }
+    },
+    
+    async updateButtons() {
+      const buttons = document.querySelectorAll('.pwa-btn-stock-alert');
+      
+      for (const btn of buttons) {
+        try {
+          const watching = await this.isWatching(btn.dataset.productId);
+          btn.classList.toggle('is-active', watching);
+          btn.querySelector('.pwa-stock-alert-label').textContent =
+            watching ? 'Đã đăng ký báo hàng' : 'Báo khi có hàng';
+        } catch (error) {
+          return; // LotusDB unavailable - keep default label
+        }
+      }
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // 🧾 CHECKOUT
+  // ═══════════════════════════════════════════════════════════════════
+
+  // Wizard: each step's form is read into `data` and validated before the
+  // next one renders. Order goes through API.createOrder (outbox when offline).
+  const Checkout = {
+    STEPS: [
+      { id: 'contact', title: 'Liên hệ' },
+      { id: 'address', title: 'Địa chỉ' },
+      { id: 'delivery', title: 'Giao hàng' },
+      { id: 'payment', title: 'Thanh toán' },
+      { id: 'review', title: 'Xác nhận' }
+    ],
+    
+    step: 0,
+    renderId: 0,
+    data: null,
+    errors: {},
+    regions: { provinces: [], districts: [], wards: [], available: true },
+    regionCache: new Map(),
+    
+    start() {
+      if (State.cart.length === 0) {
+        Router.navigate('/cart');
+        return;
+      }
+      
+      const user = State.user || {};
+      const address = user.address || {};
+      
+      this.step = 0;
+      this.errors = {};
+      this.regions.available = true;
+      this.data = {
+        name: user.name || '',
+        phone: user.phone || '',
+        email: user.email || '',
+        provinceCode: address.provinceCode || '',
+        provinceName: address.provinceName || '',
+        districtCode: address.districtCode || '',
+        districtName: address.districtName || '',
+        wardCode: address.wardCode || '',
+        wardName: address.wardName || '',
+        street: address.street || '',
+        note: '',
+        delivery: CONFIG.CHECKOUT.DELIVERY_METHODS[0].id,
+        payment: CONFIG.CHECKOUT.PAYMENT_METHODS[0].id
+      };
+      
+      this.render();
+    },
+    
+    async render() {
+      const step = this.STEPS[this.step];
+      const renderId = ++this.renderId;
+      
+      if (step.id === 'address') {
+        // Region lookups can take seconds: lock the form still on screen so a
+        // second submit cannot skip the address step
+        this.lock();
+        await this.loadRegions();
+        
+        // A newer render or another page took over while regions loaded
+        if (renderId !== this.renderId || State.currentRoute !== '/checkout') {
+          return;
+        }
+      }
+      
+      UI.render(`
+        <div class="pwa-checkout">
+          <ol class="pwa-checkout-steps">
+            ${this.STEPS.map((item, index) => `
+              <li class="${index === this.step ? 'is-active' : ''} ${index < this.step ? 'is-done' : ''}">
+                ${item.title}
+              </li>
+            `).join('')}
+          </ol>
+          
+          <form id="pwa-checkout-form" class="pwa-form" novalidate>
+            ${this.renderStep(step.id)}
+            
+            <div class="pwa-checkout-nav">
+              ${this.step > 0
+                ? '<button type="button" class="pwa-btn pwa-btn-secondary" id="pwa-checkout-back">Quay lại</button>'
+                : '<a href="#/cart" class="pwa-btn pwa-btn-secondary">Giỏ hàng</a>'}
+              <button type="submit" class="pwa-btn pwa-btn-primary">
+                ${step.id === 'review' ? 'Đặt hàng' : 'Tiếp tục'}
+              </button>
+            </div>
+          </form>
+        </div>
+      `);
+      
+      this.attach();
+    },
+    
+    renderStep(stepId) {
+      const data = this.data;
+      
+      switch (stepId) {
+        case 'contact':
+          return `
+            <h2>Thông tin liên hệ</h2>
+            ${this.field('name', 'Họ tên', `<input type="text" name="name" autocomplete="name" value="${this.escape(data.name)}">`)}
+            ${this.field('phone', 'Số điện thoại', `<input type="tel" name="phone" autocomplete="tel" inputmode="tel" value="${this.escape(data.phone)}">`)}
+            ${this.field('email', 'Email (không bắt buộc)', `<input type="email" name="email" autocomplete="email" value="${this.escape(data.email)}">`)}
+          `;
+        
+        case 'address':
+          return `
+            <h2>Địa chỉ giao hàng</h2>
+            ${this.regions.available ? `
+              ${this.field('province', 'Tỉnh / Thành phố', this.renderRegionSelect('provinceCode', this.regions.provinces, data.provinceCode, 'Chọn tỉnh / thành phố'))}
+              ${this.field('district', 'Quận / Huyện', this.renderRegionSelect('districtCode', this.regions.districts, data.districtCode, 'Chọn quận / huyện'))}
+              ${this.field('ward', 'Phường / Xã', this.renderRegionSelect('wardCode', this.regions.wards, data.wardCode, 'Chọn phường / xã'))}
+            ` : `
+              ${this.field('province', 'Tỉnh / Thành phố', `<input type="text" name="provinceName" value="${this.escape(data.provinceName)}">`)}
+              ${this.field('district', 'Quận / Huyện', `<input type="text" name="districtName" value="${this.escape(data.districtName)}">`)}
+              ${this.field('ward', 'Phường / Xã', `<input type="text" name="wardName" value="${this.escape(data.wardName)}">`)}
+            `}
+            ${this.field('street', 'Số nhà, tên đường', `<input type="text" name="street" autocomplete="street-address" value="${this.escape(data.street)}">`)}
+            ${this.field('note', 'Ghi chú cho shop', `<textarea name="note" rows="3">${this.escape(data.note)}</textarea>`)}
+          `;
+        
+        case 'delivery':
+          return `
+            <h2>Hình thức giao hàng</h2>
+            ${this.renderOptions('delivery', CONFIG.CHECKOUT.DELIVERY_METHODS, data.delivery)}
+          `;
+        
+        case 'payment':
+          return `
+            <h2>Phương thức thanh toán</h2>
+            ${this.renderOptions('payment', CONFIG.CHECKOUT.PAYMENT_METHODS, data.payment)}
+          `;
+        
+        case 'review':
+          return this.renderReview();
+      }
+      
+      return '';
+    },
+    
+    field(key, label, input) {
+      const error = this.errors[key];
+      
+      return `
+        <label class="pwa-form-field ${error ? 'has-error' : ''}">
+          <span>${label}</span>
+          ${input}
+          ${error ? `<small class="pwa-form-error">${error}</small>` : ''}
+        </label>
+      `;
+    },
+    
+    renderRegionSelect(name, regions, value, placeholder) {
+      return `
+        <select name="${name}" class="pwa-region-select" ${regions.length === 0 ? 'disabled' : ''}>
+          <option value="">${placeholder}</option>
+          ${regions.map(region => `
+            <option value="${region.code}" ${String(region.code) === String(value) ? 'selected' : ''}>
+              ${this.escape(region.name)}
+            </option>
+          `).join('')}
+        </select>
+      `;
+    },
+    
+    renderOptions(name, options, value) {
+      return `
+        <div class="pwa-checkout-options ${this.errors[name] ? 'has-error' : ''}">
+          ${options.map(option => `
+            <label class="pwa-checkout-option">
+              <input type="radio" name="${name}" value="${option.id}" ${option.id === value ? 'checked' : ''}>
+              <span class="pwa-checkout-option-name">${option.name}</span>
+              ${option.description ? `<small>${option.description}</small>` : ''}
+              ${option.fee !== undefined ? `
+                <span class="pwa-checkout-option-fee">
+                  ${option.fee > 0 ? Utils.formatCurrency(option.fee) : 'Miễn phí'}
+                </span>
+              ` : ''}
+            </label>
+          `).join('')}
+          ${this.errors[name] ? `<small class="pwa-form-error">${this.errors[name]}</small>` : ''}
+        </div>
+      `;
+    },
+    
+    renderReview() {
+      const data = this.data;
+      const totals = this.getTotals();
+      const delivery = this.findMethod(CONFIG.CHECKOUT.DELIVERY_METHODS, data.delivery);
+      const payment = this.findMethod(CONFIG.CHECKOUT.PAYMENT_METHODS, data.payment);
+      
+      return `
+        <h2>Xác nhận đơn hàng</h2>
+        
+        <section class="pwa-checkout-review">
+          <h3>Người nhận</h3>
+          <p>${this.escape(data.name)} · ${this.escape(data.phone)}${data.email ? ` · ${this.escape(data.email)}` : ''}</p>
+          <p>${this.escape(this.getFullAddress())}</p>
+          ${data.note ? `<p>Ghi chú: ${this.escape(data.note)}</p>` : ''}
+          
+          <h3>Giao hàng & thanh toán</h3>
+          <p>${delivery.name} · ${payment.name}</p>
+          
+          <h3>Sản phẩm</h3>
+          <ul class="pwa-checkout-items">
+            ${State.cart.map(item => `
+              <li>
+                <span>
+                  ${this.escape(item.name)} × ${item.quantity}
+                  ${item.variant ? `<small>(${this.escape(item.variant.name || item.variant)})</small>` : ''}
+                </span>
+                <span>${Utils.formatCurrency(item.price * item.quantity)}</span>
+              </li>
+            `).join('')}
+          </ul>
+          
+          <div class="pwa-cart-row">
+            <span>Tạm tính</span>
+            <span>${Utils.formatCurrency(totals.subtotal)}</span>
+          </div>
+          ${totals.discount > 0 ? `
+            <div class="pwa-cart-row pwa-cart-discount">
+              <span>Giảm giá (${this.escape(State.voucher.code)})</span>
+              <span>−${Utils.formatCurrency(totals.discount)}</span>
+            </div>
+          ` : ''}
+          <div class="pwa-cart-row">
+            <span>Phí giao hàng</span>
+            <span>${totals.shippingFee > 0 ? Utils.formatCurrency(totals.shippingFee) : 'Miễn phí'}</span>
+          </div>
+          <div class="pwa-cart-row pwa-cart-total">
+            <span>Tổng cộng</span>
+            <span>${Utils.formatCurrency(totals.total)}</span>
+          </div>
+        </section>
+      `;
+    },
+    
+    attach() {
+      const form = document.getElementById('pwa-checkout-form');
+      const stepId = this.STEPS[this.step].id;
+      
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        this.collect(form);
+        
+        if (stepId === 'review') {
+          this.placeOrder(form.querySelector('[type="submit"]'));
+          return;
+        }
+        
+        this.errors = this.validate(stepId);
+        
+        if (Object.keys(this.errors).length === 0) {
+          this.rememberCustomer();
+          this.step++;
+        }
+        
+        this.render();
+      });
+      
+      const back = document.getElementById('pwa-checkout-back');
+      
+      if (back) {
+        back.addEventListener('click', () => {
+          this.collect(form);
+          this.errors = {};
+          this.step--;
+          this.render();
+        });
+      }
+      
+      // Changing a level resets the levels below it
+      form.querySelectorAll('.pwa-region-select').forEach(select => {
+        select.addEventListener('change', () => {
+          this.collect(form);
+          
+          if (select.name === 'provinceCode') {
+            Object.assign(this.data, { districtCode: '', districtName: '', wardCode: '', wardName: '' });
+          } else if (select.name === 'districtCode') {
+            Object.assign(this.data, { wardCode: '', wardName: '' });
+          }
+          
+          this.render();
+        });
+      });
+    },
+    
+    lock() {
+      const form = document.getElementById('pwa-checkout-form');
+      
+      if (form) {
+        form.querySelectorAll('button, input, select, textarea').forEach(field => {
+          field.disabled = true;
+        });
+      }
+    },
+    
+    collect(form) {
+      Object.assign(this.data, Object.fromEntries(new FormData(form)));
+      
+      // Free-text address: codes from an earlier selection no longer apply
+      if (form.elements.provinceName) {
+        Object.assign(this.data, { provinceCode: '', districtCode: '', wardCode: '' });
+      }
+      
+      // Keep the names of selected regions, the order needs them
+      form.querySelectorAll('.pwa-region-select').forEach(select => {
+        const nameKey = select.name.replace(/Code$/, 'Name');
+        this.data[nameKey] = select.value ? select.selectedOptions[0].textContent.trim() : '';
+      });
+    },
+    
+    validate(stepId) {
+      const data = this.data;
+      const errors = {};
+      
+      if (stepId === 'contact') {
+        if (!data.name.trim()) {
+          errors.name = 'Vui lòng nhập họ tên';
+        }
+        
+        if (!/^(0|\+84)[35789]\d{8}$/.test(data.phone.replace(/[\s.-]/g, ''))) {
+          errors.phone = 'Số điện thoại không hợp lệ';
+        }
+        
+        if (data.email.trim() && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email.trim())) {
+          errors.email = 'Email không hợp lệ';
+        }
+      }
+      
+      if (stepId === 'address') {
+        if (!data.provinceName.trim()) {
+          errors.province = 'Vui lòng chọn tỉnh / thành phố';
+        }
+        
+        if (!data.districtName.trim()) {
+          errors.district = 'Vui lòng chọn quận / huyện';
+        }
+        
+        if (!data.wardName.trim()) {
+          errors.ward = 'Vui lòng chọn phường / xã';
+        }
+        
+        if (!data.street.trim()) {
+          errors.street = 'Vui lòng nhập số nhà, tên đường';
+        }
+      }
+      
+      if (stepId === 'delivery' && !this.findMethod(CONFIG.CHECKOUT.DELIVERY_METHODS, data.delivery)) {
+        errors.delivery = 'Vui lòng chọn hình thức giao hàng';
+      }
+      
+      if (stepId === 'payment' && !this.findMethod(CONFIG.CHECKOUT.PAYMENT_METHODS, data.payment)) {
+        errors.payment = 'Vui lòng chọn phương thức thanh toán';
+      }
+      
+      return errors;
+    },
+    
+    // Pre-fills the next checkout (and the inquiry form)
+    rememberCustomer() {
+      const data = this.data;
+      
+      State.user = {
+        ...State.user,
+        name: data.name.trim(),
+        phone: data.phone.replace(/[\s.-]/g, ''),
+        email: data.email.trim(),
+        address: {
+          provinceCode: data.provinceCode,
+          provinceName: data.provinceName,
+          districtCode: data.districtCode,
+          districtName: data.districtName,
+          wardCode: data.wardCode,
+          wardName: data.wardName,
+          street: data.street.trim()
+        }
+      };
+      
+      State.saveUser();
+    },
+    
+    // Vietnamese administrative units (CONFIG.CHECKOUT.REGIONS_API);
+    // unavailable (offline) = free-text address fields
+    async loadRegions() {
+      // Don't wait for the timeout again on every re-render
+      if (!this.regions.available) {
+        return;
+      }
+      
+      try {
+        this.regions.provinces = await this.fetchRegions('/p/');
+        this.regions.districts = this.data.provinceCode
+          ? (await this.fetchRegions(`/p/${this.data.provinceCode}?depth=2`)).districts || []
+          : [];
+        this.regions.wards = this.data.districtCode
+          ? (await this.fetchRegions(`/d/${this.data.districtCode}?depth=2`)).wards || []
+          : [];
+        this.regions.available = true;
+      } catch (error) {
+        console.error('[Checkout] Load regions failed:', error);
+        this.regions.available = false;
+      }
+    },
+    
+    async fetchRegions(path) {
+      if (!this.regionCache.has(path)) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.CHECKOUT.REGIONS_TIMEOUT);
+        
+        const request = fetch(CONFIG.CHECKOUT.REGIONS_API + path, { signal: controller.signal })
+          .then(response => {
+            if (!response.ok) {
+              throw new Error(`HTTP ${response.status}`);
+            }
+            return response.json();
+          })
+          .finally(() => clearTimeout(timer));
+        
+        this.regionCache.set(path, request);
+        request.catch(() => this.regionCache.delete(path));
+      }
+      
+      return this.regionCache.get(path);
+    },
+    
+    findMethod(methods, id) {
+      return methods.find(method => method.id === id);
+    },
+    
+    getFullAddress() {
+      const data = this.data;
+      return [data.street, data.wardName, data.districtName, data.provinceName]
+        .map(part => part.trim())
+        .filter(Boolean)
+        .join(', ');
+    },
+    
+    getTotals() {
+      const subtotal = State.getCartTotal();
+      const discount = State.voucher ? Math.min(State.voucher.discount, subtotal) : 0;
+      const delivery = this.findMethod(CONFIG.CHECKOUT.DELIVERY_METHODS, this.data.delivery);
+      const shippingFee = delivery ? delivery.fee : 0;
+      
+      return {
+        subtotal: subtotal,
+        discount: discount,
+        shippingFee: shippingFee,
+        total: subtotal - discount + shippingFee
+      };
+    },
+    
+    buildOrder() {
+      const data = this.data;
+      const customer = State.user;
+      
+      return {
+        customer: {
+          name: customer.name,
+          phone: customer.phone,
+          email: customer.email
+        },
+        shippingAddress: {
+          ...customer.address,
+          fullAddress: this.getFullAddress()
+        },
+        items: State.cart.map(item => ({
+          productId: item.productId,
+          name: item.name,
+          price: item.price,
+          quantity: item.quantity,
+          variant: item.variant
+        })),
+        deliveryMethod: data.delivery,
+        paymentMethod: data.payment,
+        voucherCode: State.voucher ? State.voucher.code : null,
+        note: data.note.trim(),
+        ...this.getTotals()
+      };
+    },
+    
+    async placeOrder(submit) {
+      submit.disabled = true;
+      submit.innerHTML = '<span class="pwa-spinner-sm"></span> Đang đặt hàng...';
+      
+      const order = this.buildOrder();
+      
+      try {
+        const result = await API.createOrder(order);
+        
+        if (!result.success) {
+          State.showToast(result.error || 'Không thể đặt hàng, vui lòng thử lại', 'error');
+          this.render();
+          return;
+        }
+        
+        const data = result.data || {};
+        this.complete();
+        this.renderResult({ orderId: data.orderId || data.OrderID || result.orderId || '' });
+        
+      } catch (error) {
+        console.error('[Checkout] Place order failed:', error);
+        
+        // API.createOrder saved it to the outbox; OUTBOX_SENT toasts when it goes out
+        if (error.queued) {
+          this.complete();
+          this.renderResult({ queued: true });
+          return;
+        }
+        
+        State.showToast('Không thể đặt hàng, vui lòng thử lại', 'error');
+        this.render();
+      }
+    },
+    
+    complete() {
+      State.cart = [];
+      State.voucher = null;
+      State.saveCart();
+    },
+    
+    renderResult({ orderId, queued }) {
+      UI.render(`
+        <div class="pwa-checkout-result">
+          ${queued ? `
+            <div class="pwa-checkout-result-icon">📡</div>
+            <h2>Đơn hàng đã được lưu</h2>
+            <p>Bạn đang offline. Đơn hàng sẽ tự động gửi khi có mạng và chúng tôi sẽ báo cho bạn.</p>
+          ` : `
+            <div class="pwa-checkout-result-icon">✅</div>
+            <h2>Đặt hàng thành công!</h2>
+            ${orderId ? `<p>Mã đơn hàng: <strong>${this.escape(orderId)}</strong></p>` : ''}
+            <p>Shop sẽ gọi số ${this.escape(State.user.phone)} để xác nhận đơn.</p>
+          `}
+          <a href="#/" class="pwa-btn pwa-btn-primary">Tiếp tục mua sắm</a>
+        </div>
+      `);
+    },
+    
+    escape(value) {
+      return Utils.escapeHtml(value === undefined || value === null ? '' : String(value));
+    }
+  };
+
+  // ═══════════════════════════════════════════════════════════════════
+  // 🚀 MAIN APP
+  // ═══════════════════════════════════════════════════════════════════
+
+  const PWA = {
+    push: Push,
+    stockAlerts: StockAlerts,
+    sw: SW,
+    
+    init() {
+      console.log('[PWA] Initializing v2.0...');
+      
+      // Initialize state
+      State.init();
+      
+      // Register routes
+      this.registerRoutes();
+      
+      // Initialize router
+      Router.init();
+      
+      // Setup cart UI
+      this.setupCartUI();
+      
+      // Update cart badge
+      State.updateCartBadge();
+      
+      // Integration with filter widget
+      this.setupFilterIntegration();
+      
+      // Messages from service worker
+      this.setupServiceWorkerMessages();
+      
+      // Offline write queue
+      this.setupOutbox();
+      
+      // New service worker version prompt
+      this.setupUpdates();
+      
+      // Watched out-of-stock products
+      if (navigator.onLine) {
+        StockAlerts.checkNow();
+      }
+      
+      // Ask for push permission once the customer is engaged
+      State.on('cart:updated', (cart) => {
+        if (cart.length > 0) {
+          Push.maybePrompt();
+        }
+      });
+      
+      // Offline catalog in LotusDB: Apps Script pull, Blogger feed as fallback
+      this.refreshOfflineCatalog();
+      
+      console.log('[PWA] Initialized successfully');
+    },
+    
+    registerRoutes() {
+      // Home/Products list
+      Router.register('/', () => this.loadProducts());
+      
+      // Product detail
+      Router.register('/product/:id', (id) => this.loadProductDetail(id));
+      
+      // Cart
+      Router.register('/cart', () => this.showCart());
+      
+      // Checkout
+      Router.register('/checkout', () => this.showCheckout());
+      
+      // Search
+      Router.register('/search', (query) => this.searchProducts(query));
+      
+      // Settings (notifications)
+      Router.register('/settings', () => this.showSettings());
+      
+      // Shared from another app (manifest share_target)
+      Router.register('/share/:id', (id) => this.showShareInquiry(id));
+      
+      // 404
+      Router.register('/404', () => this.show404());
+    },
+    
+    async loadProducts(filters = {}) {
+      UI.showLoading();
+      
+      try {
+        const result = await API.getProducts({
+          ...State.currentFilters,
+          ...filters
+        });
+        
+        if (!result.success) {
+          throw new Error(result.error || 'API error');
+        }
+        
+        State.products = result.data;
+        UI.render(UI.renderProductGrid(result.data, result.meta));
+      } catch (error) {
+        console.error('[PWA] Load products failed:', error);
+        
+        if (await this.loadOfflineCatalog()) {
+          State.showToast('Đang xem danh mục đã lưu trên máy', 'info');
+        } else {
+          State.showToast('Không thể tải sản phẩm', 'error');
+        }
+      }
+    },
+    
+    // Products imported from the Blogger feed into LotusDB
+    async loadOfflineCatalog() {
+      try {
+        const db = await DB.open();
+        let products = await db.products.getAll();
+        
+        if (products.length === 0) {
+          await db.sync.importBloggerFeed();
+          products = await db.products.getAll();
+        }
+        
+        if (products.length === 0) {
+          return false;
+        }
+        
+        State.products = products;
+        UI.render(UI.renderProductGrid(products));
+        
+        return true;
+      } catch (error) {
+        console.error('[PWA] Offline catalog failed:', error);
+        return false;
+      }
+    },
+    
+    // The service worker pulls the catalog on `catalog-refresh` periodic sync;
+    // without it (or when that pull failed) the app refreshes here on launch
+    async refreshOfflineCatalog() {
+      // Primary source: products and categories from the Apps Script API
+      try {
+        const db = await DB.open();
+        const refresh = await db.settings.get('catalogRefresh') || {};
+        
+        await db.settings.put({
+          key: 'catalogRefresh',
+          apiUrl: CONFIG.API_URL,
+          refreshedAt: refresh.refreshedAt || null,
+          pending: !!refresh.pending
+        });
+        
+        Utils.registerPeriodicSync(CONFIG.CATALOG_SYNC_TAG, CONFIG.CATALOG_REFRESH_INTERVAL);
+        
+        if (!navigator.onLine) {
+          return;
+        }
+        
+        if (refresh.pending || !refresh.refreshedAt ||
+            Date.now() - refresh.refreshedAt > CONFIG.CATALOG_REFRESH_INTERVAL) {
+          await db.sync.pull('products');
+          await db.sync.pull('categories');
+          
+          await db.settings.put({
+            key: 'catalogRefresh',
+            apiUrl: CONFIG.API_URL,
+            refreshedAt: Date.now(),
+            pending: false
+          });
+        }
+      } catch (error) {
+        console.error('[PWA] API catalog pull failed:', error);
+      }
+      
+      // Fallback source: Blogger feed posts, still reachable when the API is down
+      try {
+        const db = await DB.open();
+        const lastSync = await db.sync.getLastSync('bloggerFeed');
+        
+        if (navigator.onLine && (!lastSync || Date.now() - lastSync > CONFIG.CATALOG_REFRESH_INTERVAL)) {
+          await db.sync.importBloggerFeed();
+        }
+      } catch (error) {
+        console.error('[PWA] Blogger feed import failed:', error);
       }
     },
     
     async loadProductDetail(productId) {
       UI.showLoading();
       
+      let product = null;
+      
       try {
         const result = await API.getProductDetail(productId);
         
-        if (result.success) {
-          // TODO: Render product detail page
-          console.log('Product detail:', result.data);
+        if (result.success && result.data) {
+          product = result.data;
         }
       } catch (error) {
         console.error('[PWA] Load product detail failed:', error);
       }
+      
+      // Offline: product saved in LotusDB. The hash gives a string, the
+      // API may have stored a numeric ProductID key
+      if (!product) {
+        try {
+          const db = await DB.open();
+          product = await db.products.get(productId);
+          
+          if (!product && productId !== '' && !isNaN(productId)) {
+            product = await db.products.get(Number(productId));
+          }
+        } catch (error) {
+          console.error('[PWA] Offline product lookup failed:', error);
+        }
+      }
+      
+      if (!product) {
+        this.show404();
+        return;
+      }
+      
+      const related = await this.getRelatedProducts(product);
+      
+      UI.render(UI.renderProductDetail(product, related));
+      this.attachProductDetail(product);
+    },
+    
+    async getRelatedProducts(product, limit = 4) {
+      if (!product.CategoryID) {
+        return [];
+      }
+      
+      const pick = (products) => products
+        .filter(item => item.CategoryID === product.CategoryID && item.ProductID !== product.ProductID)
+        .slice(0, limit);
+      
+      try {
+        const result = await API.getProducts({ categoryId: product.CategoryID, limit: limit + 1 });
+        
+        if (result.success) {
+          return pick(result.data);
+        }
+      } catch (error) {
+        console.error('[PWA] Load related products failed:', error);
+      }
+      
+      try {
+        const db = await DB.open();
+        return pick(await db.products.getAll());
+      } catch (error) {
+        return pick(State.products);
+      }
+    },
+    
+    attachProductDetail(product) {
+      const variants = Utils.getProductVariants(product);
+      let selected = null;
+      
+      // Gallery
+      document.querySelectorAll('.pwa-detail-thumb').forEach(thumb => {
+        thumb.addEventListener('click', () => {
+          document.getElementById('pwa-detail-image').src = thumb.dataset.image;
+          document.querySelectorAll('.pwa-detail-thumb').forEach(item => {
+            item.classList.toggle('is-active', item === thumb);
+          });
+        });
+      });
+      
+      // Variants: price and stock follow the selection when the variant has them
+      document.querySelectorAll('.pwa-variant-option').forEach(option => {
+        option.addEventListener('click', () => {
+          selected = variants[option.dataset.variantIndex];
+          
+          document.querySelectorAll('.pwa-variant-option').forEach(item => {
+            item.classList.toggle('is-active', item === option);
+          });
+          
+          const price = selected.price !== null ? selected.price : product.Price;
+          document.getElementById('pwa-detail-price').textContent = Utils.formatCurrency(price);
+          
+          const stock = selected.stock !== null ? selected.stock : product.Stock;
+          
+          if (stock > 0) {
+            document.getElementById('pwa-detail-stock').textContent = `Còn ${stock} sản phẩm`;
+            
+            const qty = document.getElementById('pwa-detail-qty');
+            if (qty) {
+              qty.max = stock;
+              qty.value = Math.min(parseInt(qty.value, 10) || 1, stock);
+            }
+          }
+        });
+      });
+      
+      const addButton = document.getElementById('pwa-detail-add-cart');
+      
+      if (!addButton) {
+        return;
+      }
+      
+      addButton.addEventListener('click', () => {
+        if (variants.length > 0 && !selected) {
+          State.showToast('Vui lòng chọn phân loại', 'info');
+          return;
+        }
+        
+        const quantity = parseInt(document.getElementById('pwa-detail-qty').value, 10) || 1;
+        const variant = selected ? { id: selected.id, name: selected.name } : null;
+        const price = selected && selected.price !== null ? selected.price : product.Price;
+        
+        State.addToCart({ ...product, Price: price }, quantity, variant);
+      });
     },
     
     showCart() {
-      // TODO: Render cart page
-      console.log('Cart:', State.cart);
+      UI.render(UI.renderCart(State.cart, State.voucher));
+      
+      // Re-render whenever the cart changes while the cart page is open
+      if (!this.cartListening) {
+        this.cartListening = true;
+        
+        State.on('cart:updated', () => {
+          if (State.currentRoute === '/cart') {
+            this.refreshVoucher().then(() => this.showCart());
+          }
+        });
+      }
+      
+      document.querySelectorAll('.pwa-cart-item .pwa-qty-input').forEach(input => {
+        input.addEventListener('change', () => {
+          const index = parseInt(input.closest('.pwa-cart-item').dataset.index, 10);
+          const quantity = parseInt(input.value, 10);
+          
+          if (State.cart[index] && quantity !== State.cart[index].quantity) {
+            State.updateCartQuantity(index, quantity);
+          }
+        });
+      });
+      
+      document.querySelectorAll('.pwa-cart-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+          State.removeFromCart(parseInt(btn.dataset.index, 10));
+        });
+      });
+      
+      const voucherForm = document.getElementById('pwa-voucher-form');
+      
+      if (voucherForm) {
+        voucherForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          
+          const code = voucherForm.elements.code.value.trim();
+          
+          if (!code) {
+            State.voucher = null;
+            this.showCart();
+            return;
+          }
+          
+          voucherForm.querySelector('[type="submit"]').disabled = true;
+          await this.applyVoucher(code);
+          this.showCart();
+        });
+      }
+    },
+    
+    async applyVoucher(code, silent = false) {
+      let result;
+      
+      try {
+        result = await API.checkVoucher(code, State.getCartTotal());
+      } catch (error) {
+        // Network error: keep the last validated voucher, the server has not rejected it
+        console.error('[PWA] Check voucher failed:', error);
+        
+        if (!silent) {
+          State.showToast('Cần kết nối mạng để kiểm tra mã', 'error');
+        }
+        
+        return false;
+      }
+      
+      if (!result.success || !result.data) {
+        State.voucher = null;
+        
+        if (!silent) {
+          State.showToast(result.error || 'Mã giảm giá không hợp lệ', 'error');
+        }
+        
+        return false;
+      }
+      
+      State.voucher = {
+        code: code,
+        discount: parseFloat(result.data.discount || result.data.DiscountAmount) || 0,
+        description: result.data.description || result.data.message || ''
+      };
+      
+      if (!silent) {
+        State.showToast('Đã áp dụng mã giảm giá', 'success');
+      }
+      
+      return true;
+    },
+    
+    // Discount depends on the order amount
+    async refreshVoucher() {
+      if (State.voucher && State.cart.length > 0) {
+        await this.applyVoucher(State.voucher.code, true);
+      } else {
+        State.voucher = null;
+      }
     },
     
     showCheckout() {
-      // TODO: Render checkout page
-      console.log('Checkout');
+      Checkout.start();
     },
     
     async searchProducts(query) {
@@ -731,6 +2577,161 @@
       }
     },
     
+    async showSettings() {
+      const supported = Push.isSupported();
+      const subscription = supported ? await Push.getSubscription() : null;
+      const blocked = supported && Notification.permission === 'denied';
+      const preferences = await Push.getPreferences();
+      
+      UI.render(`
+        <div class="pwa-settings">
+          <h2>Cài đặt</h2>
+          
+          <section class="pwa-settings-section">
+            <h3>Thông báo</h3>
+            ${!supported ? `
+              <p>Trình duyệt này không hỗ trợ thông báo đẩy.</p>
+            ` : blocked ? `
+              <p>Thông báo đang bị chặn. Vui lòng cho phép trong cài đặt trình duyệt.</p>
+            ` : `
+              <p>${subscription ? 'Đang nhận thông báo.' : 'Chưa bật thông báo.'}</p>
+              <button type="button" class="pwa-btn ${subscription ? 'pwa-btn-secondary' : 'pwa-btn-primary'}" id="pwa-push-toggle">
+                ${subscription ? 'Tắt thông báo' : 'Bật thông báo'}
+              </button>
+              
+              <div class="pwa-settings-topics">
+                ${Object.keys(Push.TOPICS).map(topic => `
+                  <label class="pwa-checkbox">
+                    <input type="checkbox" class="pwa-topic-toggle" value="${topic}"
+                           ${preferences[topic] ? 'checked' : ''}>
+                    ${Push.TOPICS[topic]}
+                  </label>
+                `).join('')}
+              </div>
+            `}
+          </section>
+        </div>
+      `);
+      
+      const toggle = document.getElementById('pwa-push-toggle');
+      
+      if (toggle) {
+        toggle.addEventListener('click', async () => {
+          toggle.disabled = true;
+          
+          try {
+            if (subscription) {
+              await Push.unsubscribe();
+              State.showToast('Đã tắt thông báo', 'info');
+            } else if (await Push.subscribe()) {
+              State.showToast('Đã bật thông báo', 'success');
+            }
+          } catch (error) {
+            console.error('[PWA] Push toggle failed:', error);
+            State.showToast('Không thể cập nhật thông báo', 'error');
+          }
+          
+          this.showSettings();
+        });
+      }
+      
+      document.querySelectorAll('.pwa-topic-toggle').forEach(input => {
+        input.addEventListener('change', async () => {
+          const topics = {};
+          document.querySelectorAll('.pwa-topic-toggle').forEach(item => {
+            topics[item.value] = item.checked;
+          });
+          
+          try {
+            await Push.setPreferences(topics);
+            State.showToast('Đã lưu cài đặt thông báo', 'success');
+          } catch (error) {
+            console.error('[PWA] Save notification preferences failed:', error);
+            State.showToast('Không thể lưu cài đặt', 'error');
+          }
+        });
+      });
+    },
+    
+    async showShareInquiry(shareId) {
+      let share = null;
+      
+      try {
+        const db = await DB.open();
+        share = shareId ? await db.shares.get(shareId) : null;
+      } catch (error) {
+        console.error('[PWA] Load share failed:', error);
+      }
+      
+      // Photo of a glass the customer wants matched
+      const images = ((share && share.files) || [])
+        .filter(file => file.type && file.type.startsWith('image/'))
+        .slice(0, CONFIG.INQUIRY.MAX_IMAGES);
+      const previews = images.map(file => URL.createObjectURL(file));
+      
+      UI.render(UI.renderInquiryForm(share || {}, previews));
+      
+      // Previews are only on this screen
+      window.addEventListener('hashchange', () => {
+        previews.forEach(url => URL.revokeObjectURL(url));
+      }, { once: true });
+      
+      const form = document.getElementById('pwa-inquiry-form');
+      
+      const removeShare = async () => {
+        if (share) {
+          const db = await DB.open();
+          await db.shares.delete(share.id);
+        }
+      };
+      
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const data = Object.fromEntries(new FormData(form));
+        const submit = form.querySelector('[type="submit"]');
+        submit.disabled = true;
+        
+        try {
+          // Formats the browser cannot decode (e.g. HEIC in Chrome) go up as-is
+          const photos = await Promise.all(images.map(file => Utils.resizeImage(
+            file, CONFIG.INQUIRY.IMAGE_MAX_SIZE, CONFIG.INQUIRY.IMAGE_QUALITY
+          ).catch(error => {
+            console.warn('[PWA] Resize failed, sending original:', file.name, error);
+            return Utils.readImageFile(file);
+          })));
+          
+          const result = await API.createInquiry({
+            ...data,
+            sharedUrl: share ? share.url : '',
+            images: photos,
+            idempotencyKey: shareId || Utils.generateId('createInquiry')
+          });
+          
+          if (!result.success) {
+            throw new Error(result.error || 'API error');
+          }
+          
+          await removeShare();
+          
+          State.showToast('Đã gửi yêu cầu, shop sẽ liên hệ bạn sớm', 'success');
+          Router.navigate('/');
+        } catch (error) {
+          console.error('[PWA] Send inquiry failed:', error);
+          
+          if (error.queued) {
+            await removeShare();
+            State.showToast('Đang offline - yêu cầu sẽ tự gửi khi có mạng', 'info');
+            Router.navigate('/');
+            return;
+          }
+          
+          State.showToast('Không thể gửi yêu cầu, vui lòng thử lại', 'error');
+          submit.disabled = false;
+        }
+      });
+    },
+    
     show404() {
       UI.render(`
         <div class="pwa-error-page">
@@ -754,6 +2755,146 @@
       });
     },
     
+    setupServiceWorkerMessages() {
+      if (!('serviceWorker' in navigator)) {
+        return;
+      }
+      
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        const message = event.data || {};
+        
+        switch (message.type) {
+          case 'OUTBOX_SENT':
+          case 'OUTBOX_FAILED':
+            this.handleOutboxResult(message);
+            break;
+          
+          case 'NAVIGATE':
+            this.navigateTo(message.url);
+            break;
+        }
+      });
+    },
+    
+    // Notification click: SPA routes go through the Router, other pages load normally
+    navigateTo(url) {
+      const target = new URL(url, window.location.href);
+      
+      if (target.origin === window.location.origin &&
+          target.pathname === window.location.pathname &&
+          target.hash) {
+        Router.navigate(target.hash.slice(1));
+      } else if (target.href !== window.location.href) {
+        window.location.href = target.href;
+      }
+    },
+    
+    setupOutbox() {
+      const flush = async () => {
+        try {
+          const db = await DB.open();
+          
+          // Service worker replays the outbox when background sync exists
+          if (!navigator.onLine || ('serviceWorker' in navigator && 'SyncManager' in window)) {
+            return;
+          }
+          
+          await db.outbox.flush({
+            onResult: entry => this.handleOutboxResult({
+              type: entry.status === window.LotusDB.OUTBOX_STATUS.SENT ? 'OUTBOX_SENT' : 'OUTBOX_FAILED',
+              action: entry.action,
+              willRetry: db.outbox.willRetry(entry)
+            })
+          });
+        } catch (error) {
+          console.error('[PWA] Outbox flush failed:', error);
+        }
+      };
+      
+      window.addEventListener('online', flush);
+      
+      // Also opens LotusDB, which migrates the legacy order queue
+      flush();
+    },
+    
+    setupUpdates() {
+      if (!('serviceWorker' in navigator)) {
+        return;
+      }
+      
+      // Reload once the new worker takes over - only when the user asked,
+      // the first install's clients.claim() also fires controllerchange
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (this.updateRequested && !this.reloading) {
+          this.reloading = true;
+          window.location.reload();
+        }
+      });
+      
+      // Only prompt once the new worker is 'installed' (registration.waiting
+      // is set), otherwise applyUpdate() finds nothing to activate
+      navigator.serviceWorker.getRegistration().then(registration => {
+        if (!registration) {
+          return;
+        }
+        
+        // Worker installed before this page loaded
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.promptUpdate(registration.waiting);
+        }
+        
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          
+          if (!worker) {
+            return;
+          }
+          
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              this.promptUpdate(worker);
+            }
+          });
+        });
+      });
+    },
+    
+    async promptUpdate(worker) {
+      // Ask the waiting worker, not the controller, for its VERSION
+      const info = await SW.getVersion(worker).catch(() => null);
+      UI.showUpdateToast(info && info.version, () => this.applyUpdate());
+    },
+    
+    async applyUpdate() {
+      const registration = await navigator.serviceWorker.getRegistration();
+      
+      if (!registration || !registration.waiting) {
+        window.location.reload();
+        return;
+      }
+      
+      this.updateRequested = true;
+      registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    },
+    
+    handleOutboxResult(message) {
+      const labels = {
+        createOrder: 'Đơn hàng offline',
+        createInquiry: 'Yêu cầu tư vấn offline'
+      };
+      const label = labels[message.action];
+      
+      if (!label) {
+        return;
+      }
+      
+      if (message.type === 'OUTBOX_SENT') {
+        State.showToast(`${label} đã được gửi thành công`, 'success');
+      } else if (!message.willRetry) {
+        State.showToast(`Không thể gửi ${label.toLowerCase()}, vui lòng liên hệ shop`, 'error');
+      }
+    },
+    
     loadPage(page) {
       const offset = (page - 1) * CONFIG.PAGINATION.DEFAULT_LIMIT;
       this.loadProducts({ offset: offset });
@@ -1,19 +1,70 @@
 /**
  * ═══════════════════════════════════════════════════════════════════
- * SERVICE WORKER v2.1 - Phale Việt Tiệp PWA
+ * SERVICE WORKER v2.2 - Phale Việt Tiệp PWA
  * URL: https://ksprovip7777.github.io/pwa-assets/service-worker.js
  * ═══════════════════════════════════════════════════════════════════
  */
 
-const VERSION = '2.1.0';
+const VERSION = '2.2.0';
 const CACHE_PREFIX = 'pvt-pwa';
 const CACHE_NAME = `${CACHE_PREFIX}-v${VERSION}`;
-const OFFLINE_URL = 'https://ksprovip7777.github.io/pwa-assets/offline.html';
+const ASSETS_URL = 'https://ksprovip7777.github.io/pwa-assets';
+const BLOG_URL = 'https://30namthuytinhphaleviettiep.blogspot.com';
+const OFFLINE_URL = `${ASSETS_URL}/offline.html`;
 
-// URLs to cache immediately on install
-const PRECACHE_URLS = [
-  'https://30namthuytinhphaleviettiep.blogspot.com/',
-  OFFLINE_URL
+// LotusDB (shared with the page): outbox, settings, catalog
+importScripts(`${ASSETS_URL}/indexeddb.js`);
+
+// Cached on install. `revision` is the first 8 hex chars of the file's md5:
+// update it when the file changes - unchanged entries are not downloaded again.
+// `revision: null` re-downloads every install; `required` entries fail the install.
+const PRECACHE_MANIFEST = [
+  { url: OFFLINE_URL, revision: '36e949ff', required: true },
+  { url: `${BLOG_URL}/`, revision: null },
+  { url: `${ASSETS_URL}/pwa-main.js`, revision: 'f1e4152c' },
+  { url: `${ASSETS_URL}/indexeddb.js`, revision: 'ffdce689' },
+  { url: `${ASSETS_URL}/filter-widget.js`, revision: 'ebb3f4c3' },
+  { url: `${ASSETS_URL}/manifest.json`, revision: '3a7f4e00' },
+  { url: `${ASSETS_URL}/icons/icon-72.png`, revision: '3dcce2cd' },
+  { url: `${ASSETS_URL}/icons/icon-96.png`, revision: 'd10e4fda' },
+  { url: `${ASSETS_URL}/icons/icon-128.png`, revision: 'cb793b55' },
+  { url: `${ASSETS_URL}/icons/icon-144.png`, revision: '5f68a9cc' },
+  { url: `${ASSETS_URL}/icons/icon-152.png`, revision: 'b4c492b5' },
+  { url: `${ASSETS_URL}/icons/icon-192.png`, revision: '148ab6a4' },
+  { url: `${ASSETS_URL}/icons/icon-384.png`, revision: '4e910869' },
+  { url: `${ASSETS_URL}/icons/icon-512.png`, revision: '17044b70' },
+];
+
+const PRECACHE_RETRIES = 3;
+const PRECACHE_RETRY_DELAY = 1000; // doubled after each attempt
+
+// Caches owned by this worker. Versioned caches are replaced on every
+// VERSION bump; long-lived ones survive deploys and only change through MIGRATIONS.
+const CACHE_MANIFEST = {
+  PAGES: { name: CACHE_NAME, versioned: true },
+  PRECACHE: { name: `${CACHE_PREFIX}-precache`, versioned: false },
+  IMAGES: { name: `${CACHE_PREFIX}-images`, versioned: false },
+  ASSETS: { name: `${CACHE_PREFIX}-assets`, versioned: false },
+  FONTS: { name: `${CACHE_PREFIX}-fonts`, versioned: false },
+  FONT_FILES: { name: `${CACHE_PREFIX}-font-files`, versioned: false },
+  API: { name: `${CACHE_PREFIX}-api`, versioned: false },
+  FEEDS: { name: `${CACHE_PREFIX}-feeds`, versioned: false }
+};
+
+// Run once when activating a VERSION >= `version` over an older one
+const MIGRATIONS = [
+  {
+    version: '2.2.0',
+    description: 'Remove caches left by the v2.0 lotus-glass-pwa worker',
+    async migrate() {
+      const cacheNames = await caches.keys();
+      await Promise.all(
+        cacheNames
+          .filter(cacheName => cacheName.startsWith('lotus-glass-pwa-'))
+          .map(cacheName => caches.delete(cacheName))
+      );
+    }
+  }
 ];
 
 // Cache strategies
@@ -23,30 +74,165 @@ const CACHE_STRATEGIES = {
   STALE_WHILE_REVALIDATE: 'stale-while-revalidate'
 };
 
-// URL patterns and their strategies
-const CACHE_PATTERNS = [
+// Max entries per runtime cache (least recently used evicted first)
+const CACHE_LIMITS = {
+  IMAGES: 100,
+  ASSETS: 60,
+  FONTS: 20,
+  FONT_FILES: 30,
+  API: 80,
+  FEEDS: 30
+};
+
+// Max age per runtime cache
+const CACHE_DURATIONS = {
+  IMAGES: 7 * 24 * 60 * 60 * 1000,      // 7 days
+  ASSETS: 30 * 24 * 60 * 60 * 1000,     // 30 days
+  FONTS: 30 * 24 * 60 * 60 * 1000,      // 30 days
+  FONT_FILES: 365 * 24 * 60 * 60 * 1000, // 1 year
+  API: 7 * 24 * 60 * 60 * 1000,         // 7 days (offline catalog)
+  FEEDS: 7 * 24 * 60 * 60 * 1000        // 7 days (offline catalog)
+};
+
+// How long network-first waits before serving cache (network keeps
+// running in the background and refreshes the cache when it answers)
+const NETWORK_TIMEOUTS = {
+  PAGES: 5000,
+  API: 4000
+};
+
+// Apps Script actions served network-first from cache. `freshFor` is how old a
+// cached response may be and still be shown when the network is slower than
+// NETWORK_TIMEOUT. Unlisted actions (createOrder, checkVoucher...) are network-only.
+const API_CACHE = {
+  NETWORK_TIMEOUT: NETWORK_TIMEOUTS.API,
+  ACTIONS: {
+    getProducts: { freshFor: 10 * 60 * 1000 },
+    getProductDetail: { freshFor: 10 * 60 * 1000 },
+    getCategories: { freshFor: 60 * 60 * 1000 },
+    getFilters: { freshFor: 60 * 60 * 1000 }
+  },
+  expiration: { maxEntries: CACHE_LIMITS.API, maxAge: CACHE_DURATIONS.API }
+};
+
+const CONNECTIVITY_PROBE_PARAM = '__probe'; // same name in offline.html
+
+// Route table (registered into Routes, see FETCH EVENT). A route matches
+// when every matcher it declares passes: method (default GET), origin, path
+// (glob), destination, pattern (RegExp on full URL), match(context). Higher
+// priority is tried first.
+// Handler: a function(context) or
+// { strategy, cacheName, expiration, networkTimeout, navigationPreload }
+const ROUTES = [
+  {
+    // offline.html reconnect check: must reach the network, never a cache
+    name: 'connectivity-probe',
+    match: ({url}) => url.searchParams.has(CONNECTIVITY_PROBE_PARAM),
+    priority: 1000,
+    handler: ({request}) => fetch(request, {cache: 'no-store'})
+  },
+  {
+    // manifest.json share_target (POST multipart/form-data)
+    name: 'share-target',
+    method: 'POST',
+    origin: BLOG_URL,
+    path: '/share',
+    priority: 100,
+    handler: context => handleShareTarget(context)
+  },
+  {
+    name: 'apps-script-api',
+    origin: 'https://script.google.com',
+    priority: 100,
+    handler: ({event, request}) => handleApiRequest(event, request)
+  },
+  {
+    // Blogger JSON feeds: imported into LotusDB as the offline catalog
+    name: 'blogger-feeds',
+    origin: BLOG_URL,
+    path: '/feeds/**',
+    priority: 10,
+    handler: {
+      strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
+      cacheName: CACHE_MANIFEST.FEEDS.name,
+      expiration: { maxEntries: CACHE_LIMITS.FEEDS, maxAge: CACHE_DURATIONS.FEEDS }
+    }
+  },
+  {
+    // Blogger static pages (/p/*.html) and label listings: network first,
+    // like DEFAULT_ROUTE but only for the blog origin
+    name: 'blogger-pages',
+    origin: BLOG_URL,
+    path: '/p/*',
+    priority: 10,
+    handler: {
+      strategy: CACHE_STRATEGIES.NETWORK_FIRST,
+      cacheName: CACHE_MANIFEST.PAGES.name,
+      networkTimeout: NETWORK_TIMEOUTS.PAGES,
+      navigationPreload: true
+    }
+  },
+  {
+    name: 'blogger-labels',
+    origin: BLOG_URL,
+    path: '/search/label/*',
+    priority: 10,
+    handler: {
+      strategy: CACHE_STRATEGIES.NETWORK_FIRST,
+      cacheName: CACHE_MANIFEST.PAGES.name,
+      networkTimeout: NETWORK_TIMEOUTS.PAGES,
+      navigationPreload: true
+    }
+  },
   {
+    name: 'images',
     pattern: /\.(?:png|jpg|jpeg|gif|svg|webp|ico)$/i,
-    strategy: CACHE_STRATEGIES.CACHE_FIRST,
-    cacheName: `${CACHE_PREFIX}-images`
+    handler: {
+      strategy: CACHE_STRATEGIES.CACHE_FIRST,
+      cacheName: CACHE_MANIFEST.IMAGES.name,
+      expiration: { maxEntries: CACHE_LIMITS.IMAGES, maxAge: CACHE_DURATIONS.IMAGES }
+    }
   },
   {
+    name: 'assets',
     pattern: /\.(?:js|css)$/i,
-    strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
-    cacheName: `${CACHE_PREFIX}-assets`
+    handler: {
+      strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
+      cacheName: CACHE_MANIFEST.ASSETS.name,
+      expiration: { maxEntries: CACHE_LIMITS.ASSETS, maxAge: CACHE_DURATIONS.ASSETS }
+    }
   },
   {
-    pattern: /^https:\/\/fonts\.googleapis\.com/,
-    strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
-    cacheName: `${CACHE_PREFIX}-fonts`
+    name: 'google-fonts-css',
+    origin: 'https://fonts.googleapis.com',
+    handler: {
+      strategy: CACHE_STRATEGIES.STALE_WHILE_REVALIDATE,
+      cacheName: CACHE_MANIFEST.FONTS.name,
+      expiration: { maxEntries: CACHE_LIMITS.FONTS, maxAge: CACHE_DURATIONS.FONTS }
+    }
   },
   {
-    pattern: /^https:\/\/fonts\.gstatic\.com/,
-    strategy: CACHE_STRATEGIES.CACHE_FIRST,
-    cacheName: `${CACHE_PREFIX}-font-files`
+    name: 'google-fonts-files',
+    origin: 'https://fonts.gstatic.com',
+    handler: {
+      strategy: CACHE_STRATEGIES.CACHE_FIRST,
+      cacheName: CACHE_MANIFEST.FONT_FILES.name,
+      expiration: { maxEntries: CACHE_LIMITS.FONT_FILES, maxAge: CACHE_DURATIONS.FONT_FILES }
+    }
   }
 ];
 
+// GET requests matching no route: network first for HTML pages
+const DEFAULT_ROUTE = {
+  name: 'pages',
+  handler: {
+    strategy: CACHE_STRATEGIES.NETWORK_FIRST,
+    cacheName: CACHE_NAME,
+    networkTimeout: NETWORK_TIMEOUTS.PAGES,
+    navigationPreload: true
+  }
+};
+
 // ═══════════════════════════════════════════════════════════════════
 // INSTALL EVENT
 // ═══════════════════════════════════════════════════════════════════
@@ -54,24 +240,106 @@ const CACHE_PATTERNS = [
 self.addEventListener('install', event => {
   console.log('[SW] Installing v' + VERSION);
   
+  // A rejected precache fails the install, so the current worker stays active
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('[SW] Precaching files');
-        return cache.addAll(PRECACHE_URLS.map(url => new Request(url, {
-          cache: 'reload'
-        })));
-      })
+    precache()
       .then(() => {
         console.log('[SW] Precaching complete');
-        return self.skipWaiting();
-      })
-      .catch(err => {
-        console.error('[SW] Precaching failed:', err);
+        
+        // No skipWaiting(): updates wait until the page's update toast sends
+        // SKIP_WAITING (never mid-checkout)
       })
   );
 });
 
+/**
+ * Download new or changed PRECACHE_MANIFEST entries one by one, so entries
+ * cached by a failed install are kept for the next attempt
+ */
+async function precache() {
+  console.log('[SW] Precaching files');
+  
+  const cacheName = CACHE_MANIFEST.PRECACHE.name;
+  const cache = await caches.open(cacheName);
+  const failed = [];
+  
+  for (const entry of PRECACHE_MANIFEST) {
+    try {
+      if (entry.revision && await isPrecached(cache, entry)) {
+        continue;
+      }
+      
+      const response = await fetchWithRetry(entry.url, PRECACHE_RETRIES);
+      await cache.put(entry.url, response);
+      await CacheMeta.put(cacheName, entry.url, Date.now(), { revision: entry.revision });
+      
+    } catch (error) {
+      console.error('[SW] Precache failed:', entry.url, error);
+      failed.push(entry);
+    }
+  }
+  
+  const requiredFailed = failed.filter(entry => entry.required);
+  
+  if (requiredFailed.length > 0) {
+    throw new Error('Precache failed: ' + requiredFailed.map(entry => entry.url).join(', '));
+  }
+}
+
+/**
+ * Cached with the same revision
+ */
+async function isPrecached(cache, entry) {
+  const meta = await CacheMeta.get(CACHE_MANIFEST.PRECACHE.name, entry.url).catch(() => null);
+  
+  return !!meta && meta.revision === entry.revision && !!(await cache.match(entry.url));
+}
+
+/**
+ * Fetch bypassing the HTTP cache, retrying with exponential backoff
+ */
+async function fetchWithRetry(url, retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(new Request(url, { cache: 'reload' }));
+      
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      
+      return response;
+      
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, PRECACHE_RETRY_DELAY * Math.pow(2, attempt)));
+    }
+  }
+}
+
+/**
+ * Drop precached URLs no longer in PRECACHE_MANIFEST
+ */
+async function cleanupPrecache() {
+  const cacheName = CACHE_MANIFEST.PRECACHE.name;
+  const cache = await caches.open(cacheName);
+  const urls = PRECACHE_MANIFEST.map(entry => entry.url);
+  const requests = await cache.keys();
+  
+  const stale = requests
+    .map(request => request.url)
+    .filter(url => !urls.includes(url));
+  
+  await Promise.all(stale.map(url => cache.delete(url)));
+  
+  if (stale.length > 0) {
+    await CacheMeta.remove(cacheName, stale);
+    console.log(`[SW] Removed ${stale.length} stale precache entries`);
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // ACTIVATE EVENT
 // ═══════════════════════════════════════════════════════════════════
@@ -81,17 +349,16 @@ self.addEventListener('activate', event => {
   
   event.waitUntil(
     caches.keys()
-      .then(cacheNames => {
-        return Promise.all(
-          cacheNames.map(cacheName => {
-            // Delete old caches
-            if (cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME) {
-              console.log('[SW] Deleting old cache:', cacheName);
-              return caches.delete(cacheName);
-            }
-          })
-        );
+      .then(async cacheNames => {
+        await runMigrations(await getPreviousVersion(cacheNames));
+        await deleteStaleCaches(cacheNames);
+        await cleanupPrecache();
+        await enableNavigationPreload();
+        await CacheMeta.setState('version', VERSION).catch(error => {
+          console.warn('[SW] Could not store activated version:', error);
+        });
       })
+      .then(() => reconcileCacheMeta())
       .then(() => {
         console.log('[SW] Claiming clients');
         return self.clients.claim();
@@ -99,45 +366,228 @@ self.addEventListener('activate', event => {
   );
 });
 
+/**
+ * Start navigation requests in parallel with worker boot (see DEFAULT_ROUTE)
+ */
+async function enableNavigationPreload() {
+  if (!self.registration.navigationPreload) {
+    return;
+  }
+  
+  try {
+    await self.registration.navigationPreload.enable();
+  } catch (error) {
+    console.warn('[SW] Navigation preload unavailable:', error);
+  }
+}
+
+/**
+ * Delete our caches that are not in CACHE_MANIFEST (old versioned or retired)
+ */
+function deleteStaleCaches(cacheNames) {
+  const current = Object.values(CACHE_MANIFEST).map(entry => entry.name);
+  
+  return Promise.all(
+    cacheNames.map(cacheName => {
+      if (cacheName.startsWith(CACHE_PREFIX) && !current.includes(cacheName)) {
+        console.log('[SW] Deleting old cache:', cacheName);
+        return caches.delete(cacheName);
+      }
+    })
+  );
+}
+
+/**
+ * VERSION of the last activated worker (CacheMeta state). Workers from before
+ * it was stored are only recognised by their versioned cache name.
+ */
+async function getPreviousVersion(cacheNames) {
+  try {
+    const version = await CacheMeta.getState('version');
+    
+    if (version) {
+      return version;
+    }
+  } catch (error) {
+    console.warn('[SW] Could not read previous version:', error);
+  }
+  
+  const versions = cacheNames
+    .map(cacheName => cacheName.match(new RegExp(`^${CACHE_PREFIX}-v(.+)$`)))
+    .filter(match => match && match[1] !== VERSION)
+    .map(match => match[1])
+    .sort(compareVersions);
+  
+  return versions[0] || null;
+}
+
+/**
+ * Run MIGRATIONS newer than the previous version
+ */
+async function runMigrations(from) {
+  if (!from) {
+    return; // Fresh install
+  }
+  
+  const pending = MIGRATIONS
+    .filter(migration =>
+      compareVersions(migration.version, from) > 0 &&
+      compareVersions(migration.version, VERSION) <= 0
+    )
+    .sort((a, b) => compareVersions(a.version, b.version));
+  
+  for (const migration of pending) {
+    try {
+      console.log(`[SW] Migration ${migration.version}: ${migration.description}`);
+      await migration.migrate();
+    } catch (error) {
+      console.error(`[SW] Migration ${migration.version} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Compare dotted version strings (-1, 0, 1)
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff > 0 ? 1 : -1;
+    }
+  }
+  
+  return 0;
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // FETCH EVENT - MAIN ROUTING
 // ═══════════════════════════════════════════════════════════════════
 
-self.addEventListener('fetch', event => {
-  const request = event.request;
+const Routes = {
+  routes: [],
+  defaultRoute: null,
   
-  // Skip non-GET requests
-  if (request.method !== 'GET') {
-    return;
+  /**
+   * Add a route; sorted by priority, declaration order breaks ties
+   */
+  register(route) {
+    this.routes.push({
+      priority: 0,
+      ...route,
+      pathRegExp: route.path ? globToRegExp(route.path) : null
+    });
+    this.routes.sort((a, b) => b.priority - a.priority);
+  },
+  
+  setDefault(route) {
+    this.defaultRoute = route;
+  },
+  
+  /**
+   * First matching route; the default route only answers GET
+   */
+  find(context) {
+    const route = this.routes.find(candidate => routeMatches(candidate, context));
+    
+    if (route) {
+      return route;
+    }
+    
+    return context.request.method === 'GET' ? this.defaultRoute : null;
+  }
+};
+
+function routeMatches(route, {request, url}) {
+  const methods = [].concat(route.method || 'GET');
+  
+  if (!methods.includes(request.method)) {
+    return false;
+  }
+  
+  if (route.origin && ![].concat(route.origin).includes(url.origin)) {
+    return false;
+  }
+  
+  if (route.pathRegExp && !route.pathRegExp.test(url.pathname)) {
+    return false;
+  }
+  
+  if (route.destination && ![].concat(route.destination).includes(request.destination)) {
+    return false;
+  }
+  
+  if (route.pattern && !route.pattern.test(request.url)) {
+    return false;
+  }
+  
+  if (route.match && !route.match({request, url})) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Pathname glob: `*` matches within one segment, `**` across segments
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*'))
+    .join('.*');
+  
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Run route handler (function or strategy config)
+ */
+function handleRoute(route, context) {
+  if (typeof route.handler === 'function') {
+    return route.handler(context);
   }
   
+  const {strategy, cacheName, expiration, networkTimeout, navigationPreload} = route.handler;
+  
+  return handleCacheStrategy(context.request, strategy, cacheName, {
+    event: context.event,
+    expiration: expiration,
+    networkTimeout: networkTimeout,
+    navigationPreload: navigationPreload
+  });
+}
+
+ROUTES.forEach(route => Routes.register(route));
+Routes.setDefault(DEFAULT_ROUTE);
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  
   // Skip chrome-extension and other non-http protocols
   if (!request.url.startsWith('http')) {
     return;
   }
   
-  // Skip Google Apps Script API calls (always fresh)
-  if (request.url.includes('script.google.com')) {
-    event.respondWith(fetch(request));
-    return;
-  }
+  const context = {
+    event: event,
+    request: request,
+    url: new URL(request.url)
+  };
   
-  // Find matching cache strategy
-  const matchedPattern = CACHE_PATTERNS.find(pattern => 
-    pattern.pattern.test(request.url)
-  );
+  const route = Routes.find(context);
   
-  if (matchedPattern) {
-    // Use specific cache strategy
-    event.respondWith(
-      handleCacheStrategy(request, matchedPattern.strategy, matchedPattern.cacheName)
-    );
-  } else {
-    // Default: Network first for HTML pages
-    event.respondWith(
-      networkFirst(request, CACHE_NAME)
-    );
+  // Unrouted (e.g. non-GET) requests go straight to the network
+  if (!route) {
+    return;
   }
+  
+  event.respondWith(handleRoute(route, context));
 });
 
 // ═══════════════════════════════════════════════════════════════════
@@ -147,36 +597,53 @@ self.addEventListener('fetch', event => {
 /**
  * Handle cache strategy routing
  */
-async function handleCacheStrategy(request, strategy, cacheName) {
+async function handleCacheStrategy(request, strategy, cacheName, options = {}) {
   switch (strategy) {
     case CACHE_STRATEGIES.NETWORK_FIRST:
-      return networkFirst(request, cacheName);
+      return networkFirst(request, cacheName, options);
     
     case CACHE_STRATEGIES.CACHE_FIRST:
-      return cacheFirst(request, cacheName);
+      return cacheFirst(request, cacheName, options);
     
     case CACHE_STRATEGIES.STALE_WHILE_REVALIDATE:
-      return staleWhileRevalidate(request, cacheName);
+      return staleWhileRevalidate(request, cacheName, options);
     
     default:
-      return networkFirst(request, cacheName);
+      return networkFirst(request, cacheName, options);
   }
 }
 
 /**
  * Network First: Try network, fallback to cache
+ * (after options.networkTimeout ms a cached copy is served while the network finishes)
  */
-async function networkFirst(request, cacheName) {
-  try {
-    const networkResponse = await fetch(request);
-    
-    // Cache successful responses
+async function networkFirst(request, cacheName, options = {}) {
+  const networkPromise = fetchWithPreload(request, options);
+  
+  // Cache successful responses
+  const cachePromise = networkPromise.then(networkResponse => {
     if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(cacheName);
-      cache.put(request, networkResponse.clone());
+      return putInCache(cacheName, request, networkResponse.clone(), options.expiration);
+    }
+  }).catch(() => {});
+  
+  // Keep the worker alive so a late response still refreshes the cache
+  if (options.event) {
+    options.event.waitUntil(cachePromise);
+  }
+  
+  try {
+    if (!options.networkTimeout) {
+      return await networkPromise;
     }
     
-    return networkResponse;
+    return await networkWithTimeout(networkPromise, options.networkTimeout, async () => {
+      const cachedResponse = await caches.match(request);
+      if (cachedResponse) {
+        console.log('[SW] Network slow, serving cache:', request.url);
+      }
+      return cachedResponse;
+    });
     
   } catch (error) {
     console.log('[SW] Network failed, trying cache:', request.url);
@@ -189,7 +656,7 @@ async function networkFirst(request, cacheName) {
     
     // If HTML request and no cache, return offline page
     if (request.headers.get('accept').includes('text/html')) {
-      const offlineResponse = await caches.match(OFFLINE_URL);
+      const offlineResponse = await getOfflinePage(request.url);
       if (offlineResponse) {
         return offlineResponse;
       }
@@ -206,13 +673,73 @@ async function networkFirst(request, cacheName) {
   }
 }
 
+/**
+ * Use the navigation preload response if the browser started one,
+ * otherwise fetch as usual
+ */
+async function fetchWithPreload(request, options = {}) {
+  if (options.navigationPreload && options.event && options.event.preloadResponse) {
+    const preloadResponse = await options.event.preloadResponse;
+    
+    if (preloadResponse) {
+      return preloadResponse;
+    }
+  }
+  
+  return fetch(request);
+}
+
+/**
+ * Offline page telling offline.html which URL to return to once reconnected
+ */
+async function getOfflinePage(requestedUrl) {
+  const offlineResponse = await caches.match(OFFLINE_URL);
+  
+  if (!offlineResponse) {
+    return null;
+  }
+  
+  const html = await offlineResponse.text();
+  const content = requestedUrl
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+  
+  return new Response(
+    html.replace('</head>', `  <meta name="requested-url" content="${content}">\n</head>`),
+    // Fresh headers: the cached Content-Length/Content-Encoding no longer match
+    {status: offlineResponse.status, headers: {'Content-Type': 'text/html; charset=utf-8'}}
+  );
+}
+
+/**
+ * Race network against a timer: after `timeout` ms resolve with `getFallback()`
+ * if it finds something, otherwise keep waiting for the network
+ */
+async function networkWithTimeout(networkPromise, timeout, getFallback) {
+  let timer;
+  const timeoutPromise = new Promise(resolve => {
+    timer = setTimeout(resolve, timeout, null);
+  });
+  
+  const firstResponse = await Promise.race([networkPromise, timeoutPromise])
+    .finally(() => clearTimeout(timer));
+  
+  if (firstResponse) {
+    return firstResponse;
+  }
+  
+  return (await getFallback()) || networkPromise;
+}
+
 /**
  * Cache First: Try cache, fallback to network
  */
-async function cacheFirst(request, cacheName) {
+async function cacheFirst(request, cacheName, options = {}) {
   const cachedResponse = await caches.match(request);
   
-  if (cachedResponse) {
+  if (cachedResponse && !(await isCacheExpired(cacheName, request, options.expiration))) {
+    touchCacheEntry(cacheName, request, options.expiration);
     return cachedResponse;
   }
   
@@ -220,13 +747,17 @@ async function cacheFirst(request, cacheName) {
     const networkResponse = await fetch(request);
     
     if (networkResponse && networkResponse.status === 200) {
-      const cache = await caches.open(cacheName);
-      cache.put(request, networkResponse.clone());
+      putInCache(cacheName, request, networkResponse.clone(), options.expiration);
     }
     
     return networkResponse;
     
   } catch (error) {
+    // Expired copy is still better than nothing offline
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+    
     console.error('[SW] Cache first failed:', error);
     return new Response('Not found', {status: 404});
   }
@@ -235,114 +766,961 @@ async function cacheFirst(request, cacheName) {
 /**
  * Stale While Revalidate: Return cache immediately, update in background
  */
-async function staleWhileRevalidate(request, cacheName) {
+async function staleWhileRevalidate(request, cacheName, options = {}) {
   const cachedResponse = await caches.match(request);
   
   const fetchPromise = fetch(request).then(networkResponse => {
     if (networkResponse && networkResponse.status === 200) {
-      const cache = caches.open(cacheName);
-      cache.then(c => c.put(request, networkResponse.clone()));
+      putInCache(cacheName, request, networkResponse.clone(), options.expiration);
     }
     return networkResponse;
   }).catch(err => {
     console.log('[SW] Background fetch failed:', err);
   });
   
+  if (cachedResponse && await isCacheExpired(cacheName, request, options.expiration)) {
+    // Too old to show first - wait for network, fall back to it
+    return (await fetchPromise) || cachedResponse;
+  }
+  
+  if (cachedResponse) {
+    touchCacheEntry(cacheName, request, options.expiration);
+  }
+  
   return cachedResponse || fetchPromise;
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// BACKGROUND SYNC
+// API CACHING (Apps Script)
 // ═══════════════════════════════════════════════════════════════════
 
-self.addEventListener('sync', event => {
-  console.log('[SW] Sync event:', event.tag);
+/**
+ * Route Apps Script GET requests by `action`
+ */
+function handleApiRequest(event, request) {
+  const url = new URL(request.url);
+  const options = API_CACHE.ACTIONS[url.searchParams.get('action')];
   
-  if (event.tag === 'sync-orders') {
-    event.waitUntil(syncOfflineOrders());
-  }
-});
-
-async function syncOfflineOrders() {
-  try {
-    console.log('[SW] Syncing offline orders...');
-    
-    // TODO: Implement actual sync logic
-    // Get orders from IndexedDB
-    // Send to API
-    // Update status
-    
-    console.log('[SW] Sync complete');
-  } catch (error) {
-    console.error('[SW] Sync failed:', error);
-    throw error; // Retry
+  if (!options) {
+    return fetch(request);
   }
+  
+  return apiNetworkFirst(event, request, options);
 }
 
-// ═══════════════════════════════════════════════════════════════════
-// PUSH NOTIFICATIONS
-// ═══════════════════════════════════════════════════════════════════
-
-self.addEventListener('push', event => {
-  console.log('[SW] Push received');
+/**
+ * Network first with timeout: after NETWORK_TIMEOUT serve a cached copy younger
+ * than `freshFor`; when the network fails serve any cached copy
+ */
+async function apiNetworkFirst(event, request, options) {
+  const cacheName = CACHE_MANIFEST.API.name;
+  const cacheKey = getApiCacheKey(request);
   
-  let data = {
-    title: 'Phale Việt Tiệp',
-    body: 'Bạn có thông báo mới',
-    icon: 'https://ksprovip7777.github.io/pwa-assets/icons/icon-192.png',
-    badge: 'https://ksprovip7777.github.io/pwa-assets/icons/icon-96.png'
-  };
+  const networkPromise = fetch(request);
   
-  if (event.data) {
-    try {
-      data = event.data.json();
-    } catch (e) {
+  // Apps Script reports errors with HTTP 200 - only cache { success: true }
+  const cachePromise = networkPromise.then(async networkResponse => {
+    const copy = networkResponse.clone();
+    const data = await networkResponse.clone().json().catch(() => null);
+    
+    if (networkResponse.ok && data && data.success) {
+      await putInCache(cacheName, cacheKey, copy, API_CACHE.expiration);
+    }
+  }).catch(() => {});
+  
+  // Keep the worker alive so a late response still refreshes the cache
+  event.waitUntil(cachePromise);
+  
+  try {
+    // Network is slow - use cache only if fresh enough
+    return await networkWithTimeout(networkPromise, API_CACHE.NETWORK_TIMEOUT, async () => {
+      const cachedResponse = await getCachedApiResponse(cacheName, cacheKey, options.freshFor);
+      if (cachedResponse) {
+        console.log('[SW] API timeout, serving cache:', cacheKey.url);
+      }
+      return cachedResponse;
+    });
+    
+  } catch (error) {
+    console.log('[SW] API network failed, trying cache:', cacheKey.url);
+    
+    const cachedResponse = await getCachedApiResponse(cacheName, cacheKey, Infinity);
+    
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+    
+    return new Response(JSON.stringify({
+      success: false,
+      offline: true,
+      error: 'Không có kết nối mạng'
+    }), {
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: new Headers({
+        'Content-Type': 'application/json'
+      })
+    });
+  }
+}
+
+/**
+ * Cached response if younger than maxAge
+ */
+async function getCachedApiResponse(cacheName, cacheKey, maxAge) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(cacheKey);
+  
+  if (!cachedResponse) {
+    return null;
+  }
+  
+  if (maxAge !== Infinity && await isCacheExpired(cacheName, cacheKey, { maxAge: maxAge })) {
+    return null;
+  }
+  
+  touchCacheEntry(cacheName, cacheKey, API_CACHE.expiration);
+  
+  return cachedResponse;
+}
+
+/**
+ * Cache key from deployment URL + sorted query params, so param order
+ * and empty params do not create duplicate entries
+ */
+function getApiCacheKey(request) {
+  const url = new URL(request.url);
+  const params = [...url.searchParams.entries()]
+    .filter(([, value]) => value !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+  
+  url.search = new URLSearchParams(params).toString();
+  
+  return new Request(url.toString());
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// CACHE EXPIRATION
+// ═══════════════════════════════════════════════════════════════════
+
+// Per-entry timestamps for runtime caches: { cacheName, url, cachedAt, lastAccessed }
+const CACHE_META_DB = `${CACHE_PREFIX}-cache-meta`;
+const CACHE_META_STORE = 'entries';
+const CACHE_META_STATE_STORE = 'state'; // { key, value }, e.g. last activated VERSION
+
+const CacheMeta = {
+  dbPromise: null,
+  
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CACHE_META_DB, 2);
+        
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        
+        request.onupgradeneeded = event => {
+          const db = request.result;
+          
+          if (event.oldVersion < 1) {
+            const store = db.createObjectStore(CACHE_META_STORE, {
+              keyPath: ['cacheName', 'url']
+            });
+            store.createIndex('lastAccessed', ['cacheName', 'lastAccessed'], { unique: false });
+          }
+          
+          if (event.oldVersion < 2) {
+            db.createObjectStore(CACHE_META_STATE_STORE, { keyPath: 'key' });
+          }
+        };
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    
+    return this.dbPromise;
+  },
+  
+  // Run store operations in one transaction, resolve with the last request's result
+  async run(mode, operation, storeName = CACHE_META_STORE) {
+    const db = await this.open();
+    
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = operation(tx.objectStore(storeName));
+      
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+  
+  get(cacheName, url) {
+    return this.run('readonly', store => store.get([cacheName, url]));
+  },
+  
+  // Least recently used first
+  getEntries(cacheName) {
+    return this.run('readonly', store => store.index('lastAccessed').getAll(
+      IDBKeyRange.bound([cacheName, 0], [cacheName, Infinity])
+    ));
+  },
+  
+  put(cacheName, url, cachedAt, extra = {}) {
+    return this.run('readwrite', store => store.put({
+      ...extra,
+      cacheName: cacheName,
+      url: url,
+      cachedAt: cachedAt,
+      lastAccessed: Date.now()
+    }));
+  },
+  
+  remove(cacheName, urls) {
+    return this.run('readwrite', store => {
+      urls.forEach(url => store.delete([cacheName, url]));
+    });
+  },
+  
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  },
+  
+  async getState(key) {
+    const state = await this.run('readonly', store => store.get(key), CACHE_META_STATE_STORE);
+    return state ? state.value : null;
+  },
+  
+  setState(key, value) {
+    return this.run('readwrite', store => store.put({ key: key, value: value }), CACHE_META_STATE_STORE);
+  }
+};
+
+/**
+ * Store response and enforce the cache's limits
+ */
+async function putInCache(cacheName, request, response, expiration) {
+  try {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response);
+    
+    if (expiration) {
+      await CacheMeta.put(cacheName, request.url, Date.now());
+      await enforceCacheLimits(cacheName, expiration);
+    }
+  } catch (error) {
+    console.warn('[SW] Cache put failed:', cacheName, error);
+  }
+}
+
+/**
+ * Record a cache hit for LRU ordering
+ */
+async function touchCacheEntry(cacheName, request, expiration) {
+  if (!expiration) {
+    return;
+  }
+  
+  try {
+    const entry = await CacheMeta.get(cacheName, request.url);
+    await CacheMeta.put(cacheName, request.url, entry ? entry.cachedAt : Date.now());
+  } catch (error) {
+    console.warn('[SW] Cache meta update failed:', error);
+  }
+}
+
+/**
+ * Whether cached entry is older than expiration.maxAge
+ */
+async function isCacheExpired(cacheName, request, expiration) {
+  if (!expiration || !expiration.maxAge) {
+    return false;
+  }
+  
+  try {
+    const entry = await CacheMeta.get(cacheName, request.url);
+    return !!entry && Date.now() - entry.cachedAt > expiration.maxAge;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Delete expired entries, then least recently used ones above maxEntries
+ */
+async function enforceCacheLimits(cacheName, expiration) {
+  const now = Date.now();
+  const entries = await CacheMeta.getEntries(cacheName);
+  
+  const expired = expiration.maxAge
+    ? entries.filter(entry => now - entry.cachedAt > expiration.maxAge)
+    : [];
+  const live = entries.filter(entry => !expired.includes(entry));
+  const overflow = expiration.maxEntries && live.length > expiration.maxEntries
+    ? live.slice(0, live.length - expiration.maxEntries)
+    : [];
+  
+  const urls = [...expired, ...overflow].map(entry => entry.url);
+  
+  if (urls.length === 0) {
+    return;
+  }
+  
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(url => cache.delete(url)));
+  await CacheMeta.remove(cacheName, urls);
+  
+  console.log(`[SW] Evicted ${urls.length} entries from ${cacheName}`);
+}
+
+/**
+ * Track entries cached before expiration existed, then apply limits
+ */
+async function reconcileCacheMeta() {
+  const expiringCaches = [
+    ...Routes.routes
+      .filter(route => typeof route.handler === 'object')
+      .map(route => route.handler),
+    { cacheName: CACHE_MANIFEST.API.name, expiration: API_CACHE.expiration }
+  ];
+  
+  try {
+    for (const {cacheName, expiration} of expiringCaches) {
+      if (!expiration || !(await caches.has(cacheName))) {
+        continue;
+      }
+      
+      const cache = await caches.open(cacheName);
+      const requests = await cache.keys();
+      
+      for (const request of requests) {
+        if (!(await CacheMeta.get(cacheName, request.url))) {
+          await CacheMeta.put(cacheName, request.url, Date.now());
+        }
+      }
+      
+      await enforceCacheLimits(cacheName, expiration);
+    }
+  } catch (error) {
+    console.warn('[SW] Cache meta reconcile failed:', error);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// BACKGROUND SYNC
+// ═══════════════════════════════════════════════════════════════════
+
+self.addEventListener('sync', event => {
+  console.log('[SW] Sync event:', event.tag);
+  
+  if (event.tag === LotusDB.OUTBOX_SYNC_TAG) {
+    event.waitUntil(syncOfflineOrders());
+  }
+});
+
+/**
+ * Replay the LotusDB outbox (orders queued by pwa-main.js while offline)
+ */
+async function syncOfflineOrders() {
+  try {
+    console.log('[SW] Syncing offline orders...');
+    
+    const db = await getLotusDB();
+    
+    const summary = await db.outbox.flush({
+      onResult: entry => notifyClients({
+        type: entry.status === LotusDB.OUTBOX_STATUS.SENT ? 'OUTBOX_SENT' : 'OUTBOX_FAILED',
+        id: entry.id,
+        action: entry.action,
+        attempts: entry.attempts,
+        result: entry.result || null,
+        error: entry.lastError,
+        willRetry: db.outbox.willRetry(entry)
+      })
+    });
+    
+    if (summary.retryable > 0) {
+      throw new Error(`${summary.retryable} outbox entries not sent`);
+    }
+    
+    console.log('[SW] Sync complete:', summary);
+  } catch (error) {
+    console.error('[SW] Sync failed:', error);
+    throw error; // Retry
+  }
+}
+
+/**
+ * Post a message to every open window
+ */
+async function notifyClients(message) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+  
+  clientList.forEach(client => client.postMessage(message));
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SHARE TARGET
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Keep what was shared in LotusDB `shares` and open the inquiry screen
+ * (pwa-main.js route #/share/<id>)
+ */
+async function handleShareTarget({request}) {
+  try {
+    const formData = await request.formData();
+    const db = await getLotusDB();
+    const id = `share-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    
+    await db.shares.put({
+      id: id,
+      title: formData.get('title') || '',
+      text: formData.get('text') || '',
+      url: formData.get('url') || '',
+      files: formData.getAll('files').filter(file => file instanceof File && file.size > 0),
+      createdAt: Date.now()
+    });
+    
+    console.log('[SW] Share stored:', id);
+    
+    return Response.redirect(`${BLOG_URL}/#/share/${id}`, 303);
+    
+  } catch (error) {
+    console.error('[SW] Share target failed:', error);
+    return Response.redirect(`${BLOG_URL}/#/share`, 303);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PERIODIC SYNC
+// ═══════════════════════════════════════════════════════════════════
+
+const STOCK_ALERTS_TAG = 'stock-alerts'; // registered by pwa-main.js StockAlerts
+const CATALOG_REFRESH_TAG = 'catalog-refresh'; // registered by pwa-main.js refreshOfflineCatalog
+const CATALOG_FEATURED_IMAGES = 24;
+
+self.addEventListener('periodicsync', event => {
+  console.log('[SW] Periodic sync:', event.tag);
+  
+  if (event.tag === STOCK_ALERTS_TAG) {
+    event.waitUntil(checkWatchlistStock());
+  }
+  
+  if (event.tag === CATALOG_REFRESH_TAG) {
+    event.waitUntil(refreshCatalog());
+  }
+});
+
+/**
+ * Pull products and categories into LotusDB while the app is closed.
+ * On failure `pending` makes the app refresh on its next launch; the error
+ * is rethrown so SYNC_NOW callers see it.
+ */
+async function refreshCatalog() {
+  let db;
+  let refresh;
+  
+  try {
+    db = await getLotusDB();
+    refresh = await db.settings.get('catalogRefresh');
+  } catch (error) {
+    console.error('[SW] Catalog refresh failed:', error);
+    throw error;
+  }
+  
+  // Written by the page; without it there is no API to pull from
+  if (!refresh || !refresh.apiUrl) {
+    return;
+  }
+  
+  try {
+    db.config.apiUrl = refresh.apiUrl;
+    
+    await db.sync.pull('products');
+    await db.sync.pull('categories');
+    await db.settings.put({...refresh, refreshedAt: Date.now(), pending: false});
+    
+    console.log('[SW] Catalog refreshed');
+  } catch (error) {
+    console.warn('[SW] Catalog pull failed, app will refresh on launch:', error);
+    await db.settings.put({...refresh, pending: true});
+    throw error;
+  }
+  
+  await refreshFeaturedImages(db);
+}
+
+/**
+ * Re-download images of featured products into the image cache
+ */
+async function refreshFeaturedImages(db) {
+  const {cacheName, expiration} = ROUTES.find(route => route.name === 'images').handler;
+  
+  const products = await db.products.getAll();
+  const featured = products
+    .filter(product => (product.Featured || product.NoiBat) && product.Image)
+    .slice(0, CATALOG_FEATURED_IMAGES);
+  
+  for (const product of featured) {
+    try {
+      const request = new Request(product.Image);
+      const response = await fetch(request);
+      
+      if (response.status === 200) {
+        await putInCache(cacheName, request, response, expiration);
+      }
+    } catch (error) {
+      console.warn('[SW] Image refresh failed:', product.Image, error);
+    }
+  }
+}
+
+/**
+ * Notify once for each watched product that is back in stock
+ */
+async function checkWatchlistStock() {
+  try {
+    const db = await getLotusDB();
+    const watched = (await db.watchlist.getAll()).filter(item => !item.notifiedAt);
+    const muted = await isTopicMuted('restock');
+    let failed = 0;
+    
+    for (const item of watched) {
+      try {
+        const response = await fetch(`${item.apiUrl}?action=getProductDetail` +
+          `&productId=${encodeURIComponent(item.ProductID)}`);
+        const result = await response.json();
+        
+        if (!result.success || !result.data || !(result.data.Stock > 0)) {
+          continue;
+        }
+        
+        await db.watchlist.put({...item, notifiedAt: Date.now()});
+        
+        if (muted || Notification.permission !== 'granted') {
+          continue;
+        }
+        
+        const url = `${BLOG_URL}/#/product/${encodeURIComponent(item.ProductID)}`;
+        
+        await self.registration.showNotification('Đã có hàng trở lại', buildNotificationOptions({
+          ...NOTIFICATION_DEFAULTS,
+          body: `${result.data.Name || item.Name} đã có hàng. Đặt ngay kẻo hết!`,
+          image: result.data.Image || item.Image || undefined,
+          tag: `restock-${item.ProductID}`,
+          topic: 'restock',
+          url: url,
+          actions: [{ action: 'buy', title: 'Mua ngay', url: url }]
+        }));
+        
+      } catch (error) {
+        console.warn('[SW] Stock check failed:', item.ProductID, error);
+        failed++;
+      }
+    }
+    
+    if (failed > 0) {
+      throw new Error(`${failed} stock checks failed`);
+    }
+  } catch (error) {
+    console.error('[SW] Watchlist check failed:', error);
+    throw error;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOTUSDB
+// ═══════════════════════════════════════════════════════════════════
+
+let lotusDBPromise = null;
+
+/**
+ * Shared LotusDB instance (it reopens its connection after a page upgraded
+ * the schema). No memory cache: pages write the same stores while the worker lives.
+ */
+async function getLotusDB() {
+  if (lotusDBPromise) {
+    const db = await lotusDBPromise.catch(() => null);
+    if (db) {
+      return db;
+    }
+  }
+  
+  lotusDBPromise = new LotusDB({ memoryCache: false }).init();
+  return lotusDBPromise;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// PUSH NOTIFICATIONS
+// ═══════════════════════════════════════════════════════════════════
+
+// Push payload (JSON): { title, body, icon, badge, image, tag, renotify, url, topic,
+//   actions: [{ action: 'view-order', title: 'Xem đơn hàng', url: '/#/orders/123' }] }
+// `topic` (orders | restock | promotions) is checked against the customer's
+// preferences (LotusDB settings 'notificationPrefs') before showing.
+const NOTIFICATION_DEFAULTS = {
+  title: 'Phale Việt Tiệp',
+  body: 'Bạn có thông báo mới',
+  icon: `${ASSETS_URL}/icons/icon-192.png`,
+  badge: `${ASSETS_URL}/icons/icon-96.png`,
+  url: `${BLOG_URL}/`
+};
+
+self.addEventListener('push', event => {
+  console.log('[SW] Push received');
+  
+  let data = {...NOTIFICATION_DEFAULTS};
+  
+  if (event.data) {
+    try {
+      data = {...NOTIFICATION_DEFAULTS, ...event.data.json()};
+    } catch (e) {
       data.body = event.data.text();
     }
   }
   
   event.waitUntil(
-    self.registration.showNotification(data.title, {
-      body: data.body,
-      icon: data.icon,
-      badge: data.badge,
-      data: data
+    isTopicMuted(data.topic).then(muted => {
+      if (muted) {
+        console.log('[SW] Push topic muted:', data.topic);
+        return;
+      }
+      
+      return self.registration.showNotification(data.title, buildNotificationOptions(data));
     })
   );
 });
 
+/**
+ * Whether the customer turned this topic off
+ */
+async function isTopicMuted(topic) {
+  if (!topic) {
+    return false;
+  }
+  
+  try {
+    const db = await getLotusDB();
+    const preferences = await db.settings.get('notificationPrefs');
+    return !!preferences && preferences.topics[topic] === false;
+  } catch (error) {
+    return false; // Show rather than lose the notification
+  }
+}
+
+/**
+ * showNotification() options from push payload
+ */
+function buildNotificationOptions(data) {
+  const maxActions = (self.Notification && Notification.maxActions) || 2;
+  const actions = (Array.isArray(data.actions) ? data.actions : []).slice(0, maxActions);
+  
+  const options = {
+    body: data.body,
+    icon: data.icon,
+    badge: data.badge,
+    actions: actions.map(({action, title, icon}) => ({action, title, icon})),
+    // Click targets travel with the notification for notificationclick
+    data: {
+      url: data.url,
+      actionUrls: actions.reduce((urls, action) => {
+        if (action.url) {
+          urls[action.action] = action.url;
+        }
+        return urls;
+      }, {}),
+      payload: data
+    }
+  };
+  
+  if (data.image) {
+    options.image = data.image;
+  }
+  
+  // renotify without tag throws
+  if (data.tag) {
+    options.tag = data.tag;
+    options.renotify = !!data.renotify;
+  }
+  
+  return options;
+}
+
 self.addEventListener('notificationclick', event => {
-  console.log('[SW] Notification clicked');
+  console.log('[SW] Notification clicked:', event.action || 'body');
   event.notification.close();
   
+  const data = event.notification.data || {};
+  const actionUrls = data.actionUrls || {};
+  const url = (event.action && actionUrls[event.action]) || data.url || NOTIFICATION_DEFAULTS.url;
+  
   event.waitUntil(
-    clients.openWindow('https://30namthuytinhphaleviettiep.blogspot.com/')
+    openOrFocusWindow(new URL(url, BLOG_URL).href)
   );
 });
 
+/**
+ * Reuse an app window: focus it and let pwa-main's Router navigate to `url`
+ * (NAVIGATE message). A new window is opened only when none is in scope.
+ */
+async function openOrFocusWindow(url) {
+  const clientList = await self.clients.matchAll({
+    type: 'window',
+    includeUncontrolled: true
+  });
+  
+  const inScope = clientList.filter(client => client.url.startsWith(self.registration.scope));
+  
+  const client = inScope.find(candidate => candidate.url === url) ||
+    inScope.find(candidate => candidate.focused) ||
+    inScope[0];
+  
+  if (!client) {
+    return self.clients.openWindow(url);
+  }
+  
+  const focused = await client.focus();
+  
+  if (client.url !== url) {
+    (focused || client).postMessage({ type: 'NAVIGATE', url: url });
+  }
+  
+  return focused;
+}
+
+// Browser rotated or expired the subscription: subscribe again with the
+// settings pwa-main.js saved (LotusDB settings 'push') and tell the backend
+self.addEventListener('pushsubscriptionchange', event => {
+  console.log('[SW] Push subscription changed');
+  event.waitUntil(resubscribePush(event));
+});
+
+async function resubscribePush(event) {
+  try {
+    const db = await getLotusDB();
+    const config = await db.settings.get('push');
+    
+    if (!config) {
+      return; // User unsubscribed
+    }
+    
+    const oldSubscription = event.oldSubscription;
+    const applicationServerKey = (oldSubscription && oldSubscription.options.applicationServerKey) ||
+      urlBase64ToUint8Array(config.vapidPublicKey);
+    
+    const subscription = event.newSubscription ||
+      await self.registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: applicationServerKey
+      });
+    
+    // Same body as Push.sendSubscription; never saved = every topic on
+    const preferences = await db.settings.get('notificationPrefs');
+    
+    const response = await fetch(`${config.apiUrl}?action=savePushSubscription`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        subscription: subscription.toJSON(),
+        oldEndpoint: oldSubscription ? oldSubscription.endpoint : config.endpoint,
+        topics: preferences ? preferences.topics : {},
+        user: config.user || null
+      })
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    await db.settings.put({...config, endpoint: subscription.endpoint});
+    
+    console.log('[SW] Push resubscribed');
+  } catch (error) {
+    console.error('[SW] Push resubscribe failed:', error);
+  }
+}
+
+/**
+ * VAPID key (base64url) → applicationServerKey
+ */
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - base64String.length % 4) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
 // ═══════════════════════════════════════════════════════════════════
 // MESSAGE HANDLING
 // ═══════════════════════════════════════════════════════════════════
 
+// Request:  { id, type, payload } - reply on event.ports[0] if given, else to event.source
+// Response: { id, type, success: true, result } | { id, type, success: false, error: { name, message } }
+// Messages without id or port (e.g. SKIP_WAITING from the update toast) get no reply.
+const MESSAGE_HANDLERS = {
+  SKIP_WAITING: () => self.skipWaiting(),
+  GET_VERSION: () => ({version: VERSION, cacheName: CACHE_NAME}),
+  GET_CACHE_STATS: () => getCacheStats(),
+  CLEAR_CACHE: payload => clearCaches(payload.cacheName),
+  PRECACHE_URLS: payload => precacheUrls(payload.urls),
+  SYNC_NOW: payload => syncNow(payload.tag)
+};
+
 self.addEventListener('message', event => {
-  console.log('[SW] Message received:', event.data);
+  const message = event.data || {};
+  console.log('[SW] Message received:', message.type);
+  
+  const handler = MESSAGE_HANDLERS[message.type];
+  
+  const work = Promise.resolve()
+    .then(() => {
+      if (!handler) {
+        throw new Error(`Unknown message type: ${message.type}`);
+      }
+      return handler(message.payload || {}, event);
+    })
+    .then(result => replyToMessage(event, {
+      id: message.id,
+      type: message.type,
+      success: true,
+      result: result === undefined ? null : result
+    }))
+    .catch(error => {
+      console.error('[SW] Message failed:', message.type, error);
+      replyToMessage(event, {
+        id: message.id,
+        type: message.type,
+        success: false,
+        error: {name: error.name, message: error.message}
+      });
+    });
   
-  if (event.data && event.data.type === 'SKIP_WAITING') {
-    self.skipWaiting();
+  event.waitUntil(work);
+});
+
+function replyToMessage(event, response) {
+  if (event.ports && event.ports[0]) {
+    event.ports[0].postMessage(response);
+  } else if (response.id != null && event.source) {
+    event.source.postMessage(response);
   }
+}
+
+/**
+ * Entry counts per cache and the origin's storage estimate
+ */
+async function getCacheStats() {
+  const cacheNames = await caches.keys();
+  const manifestKeys = Object.keys(CACHE_MANIFEST);
   
-  if (event.data && event.data.type === 'CLEAR_CACHE') {
-    event.waitUntil(
-      caches.keys().then(cacheNames => {
-        return Promise.all(
-          cacheNames.map(cacheName => caches.delete(cacheName))
-        );
-      }).then(() => {
-        event.ports[0].postMessage({success: true});
-      })
-    );
+  const stats = await Promise.all(cacheNames.map(async cacheName => {
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+    const key = manifestKeys.find(name => CACHE_MANIFEST[name].name === cacheName);
+    
+    return {
+      name: cacheName,
+      entries: requests.length,
+      maxEntries: key && CACHE_LIMITS[key] ? CACHE_LIMITS[key] : null,
+      versioned: key ? CACHE_MANIFEST[key].versioned : null
+    };
+  }));
+  
+  const estimate = self.navigator.storage && self.navigator.storage.estimate
+    ? await self.navigator.storage.estimate()
+    : {};
+  
+  return {
+    version: VERSION,
+    caches: stats,
+    usage: estimate.usage || null,
+    quota: estimate.quota || null
+  };
+}
+
+/**
+ * Delete one cache by name, or every runtime cache. The precache holds the
+ * app shell and offline page, so it is kept or downloaded again.
+ */
+async function clearCaches(cacheName) {
+  const precacheName = CACHE_MANIFEST.PRECACHE.name;
+  const cacheNames = cacheName ? [cacheName] : (await caches.keys()).filter(name => name !== precacheName);
+  const deleted = [];
+  
+  for (const name of cacheNames) {
+    if (await caches.delete(name)) {
+      deleted.push(name);
+    }
+    
+    const entries = await CacheMeta.getEntries(name);
+    await CacheMeta.remove(name, entries.map(entry => entry.url));
   }
-});
+  
+  if (cacheName === precacheName) {
+    await precache();
+  }
+  
+  return {deleted: deleted};
+}
+
+/**
+ * Cache URLs ahead of time, each in the cache its route serves from
+ */
+async function precacheUrls(urls) {
+  if (!Array.isArray(urls)) {
+    throw new TypeError('PRECACHE_URLS expects payload.urls to be an array');
+  }
+  
+  const cached = [];
+  const failed = [];
+  
+  for (const url of urls) {
+    try {
+      const request = new Request(new URL(url, self.location.href).href);
+      const route = Routes.find({request: request, url: new URL(request.url)});
+      
+      if (!route || typeof route.handler !== 'object' || !route.handler.cacheName) {
+        throw new Error('No cache for this URL');
+      }
+      
+      const response = await fetchWithRetry(request.url, PRECACHE_RETRIES);
+      await putInCache(route.handler.cacheName, request, response, route.handler.expiration);
+      cached.push(request.url);
+      
+    } catch (error) {
+      console.warn('[SW] Precache URL failed:', url, error);
+      failed.push({url: url, error: error.message});
+    }
+  }
+  
+  return {cached: cached, failed: failed};
+}
+
+/**
+ * Run a sync task now instead of waiting for the browser
+ */
+async function syncNow(tag = LotusDB.OUTBOX_SYNC_TAG) {
+  const tasks = {
+    [LotusDB.OUTBOX_SYNC_TAG]: syncOfflineOrders,
+    [CATALOG_REFRESH_TAG]: refreshCatalog,
+    [STOCK_ALERTS_TAG]: checkWatchlistStock
+  };
+  
+  if (!tasks[tag]) {
+    throw new Error(`Unknown sync tag: ${tag}`);
+  }
+  
+  await tasks[tag]();
+  
+  return {tag: tag};
+}
 
 // ═══════════════════════════════════════════════════════════════════
 // CONSOLE LOG